@@ -14,15 +14,29 @@ const config = {
   // Email configuration
   email: {
     domain: process.env.EMAIL_DOMAIN || 'shorttermemail.com',
+    // Domains seeded into the domain registry, more can be added at runtime
     allowedDomains: [
-      'shorttermemail.com',
-      'mail.shorttermemail.com',
-      'inbox.shorttermemail.com'
-    ],
+      process.env.EMAIL_DOMAIN || 'shorttermemail.com',
+      ...(process.env.ADDITIONAL_DOMAINS ?? 'mail.shorttermemail.com,inbox.shorttermemail.com').split(',')
+    ].map(domain => domain.trim().toLowerCase()).filter(Boolean),
     maxEmailsPerAddress: parseInt(process.env.MAX_EMAILS_PER_ADDRESS) || 50,
     emailExpiryHours: parseInt(process.env.EMAIL_EXPIRY_HOURS) || 24,
+    minTtlMinutes: parseInt(process.env.MIN_TTL_MINUTES) || 10,
+    maxTtlMinutes: parseInt(process.env.MAX_TTL_MINUTES) || 7 * 24 * 60, // 7 days
     maxEmailSize: parseInt(process.env.MAX_EMAIL_SIZE) || 1048576, // 1MB
-    cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 3600000 // 1 hour
+    cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 3600000, // 1 hour
+    expiryWarningMinutes: parseInt(process.env.EXPIRY_WARNING_MINUTES) || 10,
+    // Long-poll limits, the maximum stays below the 60s nginx proxy timeout
+    waitTimeoutSeconds: parseInt(process.env.WAIT_TIMEOUT_SECONDS) || 30,
+    maxWaitTimeoutSeconds: parseInt(process.env.MAX_WAIT_TIMEOUT_SECONDS) || 55,
+    // Comment lines keep idle event streams open through the same proxy
+    streamHeartbeatSeconds: parseInt(process.env.STREAM_HEARTBEAT_SECONDS) || 25
+  },
+
+  // Attachment storage configuration
+  attachments: {
+    store: process.env.ATTACHMENT_STORE || 'redis', // 'redis' or 'disk'
+    diskPath: process.env.ATTACHMENT_DISK_PATH || './tmp/attachments'
   },
 
   // Redis configuration
@@ -39,7 +53,73 @@ const config = {
     port: parseInt(process.env.SMTP_PORT) || 25,
     host: process.env.SMTP_HOST || '0.0.0.0',
     disabledCommands: ['AUTH'],
-    secure: false
+    // Offer STARTTLS on the main port when a certificate is configured
+    startTls: process.env.SMTP_STARTTLS !== 'false',
+    // Also listen for implicit TLS connections on securePort
+    secure: process.env.SMTP_SECURE === 'true',
+    securePort: parseInt(process.env.SMTP_SECURE_PORT) || 465,
+    tls: {
+      certPath: process.env.SSL_CERT_PATH || null,
+      keyPath: process.env.SSL_KEY_PATH || null,
+      reloadInterval: parseInt(process.env.SSL_RELOAD_INTERVAL) || 60000 // 1 minute
+    },
+    // Accept mail for unknown addresses and create their mailbox on delivery
+    catchAll: process.env.SMTP_CATCH_ALL === 'true',
+    // Recipients accepted per message, further ones are deferred
+    maxRecipients: parseInt(process.env.SMTP_MAX_RECIPIENTS) || 50
+  },
+
+  // Outbound webhooks fired when mail arrives
+  webhooks: {
+    maxPerMailbox: parseInt(process.env.WEBHOOK_MAX_PER_MAILBOX) || 5,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000, // doubles after each failure
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 10 * 60 * 1000, // 10 minutes
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 1000,
+    historySize: parseInt(process.env.WEBHOOK_HISTORY_SIZE) || 100,
+    deadLetterSize: parseInt(process.env.WEBHOOK_DEAD_LETTER_SIZE) || 1000,
+    // Allow webhooks to localhost and private networks, e.g. for local testing
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  },
+
+  // Remote image proxy
+  imageProxy: {
+    // Proxy URLs are signed by the SMTP process and checked by the API
+    // workers, so all of them need the same secret
+    secret: process.env.IMAGE_PROXY_SECRET || process.env.SESSION_SECRET || undefined,
+    maxSize: parseInt(process.env.IMAGE_PROXY_MAX_SIZE) || 5 * 1024 * 1024, // 5MB
+    timeoutMs: parseInt(process.env.IMAGE_PROXY_TIMEOUT_MS) || 10000,
+    maxRedirects: 3,
+    cacheSeconds: parseInt(process.env.IMAGE_PROXY_CACHE_SECONDS) || 24 * 60 * 60,
+    // Allow images from localhost and private networks, e.g. for local testing
+    allowPrivateUrls: process.env.IMAGE_PROXY_ALLOW_PRIVATE_URLS === 'true'
+  },
+
+  // Inbound SMTP filtering
+  filtering: {
+    windowMs: parseInt(process.env.SMTP_RATE_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    maxConnectionsPerIp: parseInt(process.env.SMTP_MAX_CONNECTIONS_PER_IP) || 100,
+    maxMessagesPerIp: parseInt(process.env.SMTP_MAX_MESSAGES_PER_IP) || 200,
+    maxMessagesPerSender: parseInt(process.env.SMTP_MAX_MESSAGES_PER_SENDER) || 100,
+    // Comma separated IPs, sender addresses and sender domains to refuse
+    blocklist: (process.env.SMTP_BLOCKLIST || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean),
+    // Comma separated DNSBL zones, e.g. zen.spamhaus.org
+    dnsblZones: (process.env.SMTP_DNSBL_ZONES || '').split(',').map(zone => zone.trim()).filter(Boolean),
+    dnsblReject: process.env.SMTP_DNSBL_REJECT !== 'false',
+    spamThreshold: parseFloat(process.env.SPAM_SCORE_THRESHOLD) || 5
+  },
+
+  // SPF, DKIM and DMARC checks on received mail
+  authentication: {
+    enabled: process.env.AUTH_CHECKS !== 'false',
+    // Host name reported in the results, defaults to the MX host
+    get mta() {
+      return process.env.AUTH_MTA_HOSTNAME || `mail.${config.server.domain}`;
+    },
+    // Comma separated DNS servers for the lookups, e.g. a local stub resolver
+    dnsServers: (process.env.AUTH_DNS_SERVERS || '').split(',').map(server => server.trim()).filter(Boolean),
+    dnsTimeout: parseInt(process.env.AUTH_DNS_TIMEOUT) || 5000
   },
 
   // Rate limiting configuration
@@ -52,6 +132,21 @@ const config = {
     }
   },
 
+  // API key tiers, limits apply per key within the rate limit windows above
+  apiKeys: {
+    defaultTier: 'standard',
+    tiers: {
+      standard: {
+        max: parseInt(process.env.API_KEY_STANDARD_MAX_REQUESTS) || 1000,
+        emailGenerationMax: parseInt(process.env.API_KEY_STANDARD_EMAIL_GEN_MAX) || 60
+      },
+      premium: {
+        max: parseInt(process.env.API_KEY_PREMIUM_MAX_REQUESTS) || 10000,
+        emailGenerationMax: parseInt(process.env.API_KEY_PREMIUM_EMAIL_GEN_MAX) || 600
+      }
+    }
+  },
+
   // Security configuration
   security: {
     corsOrigins: [
@@ -60,7 +155,10 @@ const config = {
       'https://api.shorttermemail.com',
       'http://localhost:3000'
     ],
-    allowedMethods: ['GET', 'POST', 'DELETE']
+    allowedMethods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    sessionSecret: process.env.SESSION_SECRET || undefined,
+    adminApiKey: process.env.ADMIN_API_KEY || undefined,
+    auditLogSize: parseInt(process.env.AUDIT_LOG_SIZE) || 1000
   }
 };
 
@@ -4,6 +4,8 @@ import config from './config.js';
 class RedisManager {
   constructor() {
     this.client = null;
+    this.subscriber = null;
+    this.subscriberReady = null;
     this.isConnected = false;
     this.init();
   }
@@ -125,6 +127,27 @@ class RedisManager {
     }
   }
 
+  // Set a key with expiry only if it does not exist yet. Returns false when
+  // the key already exists and null if Redis could not be reached.
+  async setExNx(key, seconds, value) {
+    try {
+      const result = await this.client.set(key, value, { EX: seconds, NX: true });
+      return result === 'OK';
+    } catch (error) {
+      console.error('Error setting Redis key if absent:', error);
+      return null;
+    }
+  }
+
+  async expire(key, seconds) {
+    try {
+      return await this.client.expire(key, seconds);
+    } catch (error) {
+      console.error('Error setting Redis key expiry:', error);
+      return false;
+    }
+  }
+
   async ttl(key) {
     try {
       return await this.client.ttl(key);
@@ -134,8 +157,307 @@ class RedisManager {
     }
   }
 
+  // Iterate keys with SCAN instead of blocking Redis with KEYS
+  async scan(pattern, count = 100) {
+    try {
+      const keys = [];
+      for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: count })) {
+        keys.push(key);
+      }
+      return keys;
+    } catch (error) {
+      console.error('Error scanning Redis keys:', error);
+      return [];
+    }
+  }
+
+  async incr(key, increment = 1) {
+    try {
+      return await this.client.incrBy(key, increment);
+    } catch (error) {
+      console.error('Error incrementing Redis key:', error);
+      return null;
+    }
+  }
+
+  async decr(key, decrement = 1) {
+    try {
+      return await this.client.decrBy(key, decrement);
+    } catch (error) {
+      console.error('Error decrementing Redis key:', error);
+      return null;
+    }
+  }
+
+  async zAdd(key, score, member) {
+    try {
+      return await this.client.zAdd(key, { score, value: member });
+    } catch (error) {
+      console.error('Error adding to Redis sorted set:', error);
+      return null;
+    }
+  }
+
+  async zRem(key, member) {
+    try {
+      const result = await this.client.zRem(key, member);
+      return result > 0;
+    } catch (error) {
+      console.error('Error removing from Redis sorted set:', error);
+      return false;
+    }
+  }
+
+  async zRangeByScore(key, min, max, limit = null) {
+    try {
+      const options = limit ? { LIMIT: { offset: 0, count: limit } } : undefined;
+      return await this.client.zRangeByScore(key, min, max, options);
+    } catch (error) {
+      console.error('Error reading Redis sorted set:', error);
+      return [];
+    }
+  }
+
+  async zRange(key, start, stop) {
+    try {
+      return await this.client.zRange(key, start, stop);
+    } catch (error) {
+      console.error('Error reading Redis sorted set range:', error);
+      return [];
+    }
+  }
+
+  async zCard(key) {
+    try {
+      return await this.client.zCard(key);
+    } catch (error) {
+      console.error('Error counting Redis sorted set:', error);
+      return 0;
+    }
+  }
+
+  // Run a Lua script atomically. Errors are thrown so callers can tell a
+  // failed script apart from one that returned nil.
+  async eval(script, keys = [], args = []) {
+    return this.client.eval(script, {
+      keys,
+      arguments: args.map(String)
+    });
+  }
+
+  async pTtl(key) {
+    try {
+      return await this.client.pTTL(key);
+    } catch (error) {
+      console.error('Error getting TTL:', error);
+      return -2; // Key doesn't exist
+    }
+  }
+
+  // Run several commands in one MULTI/EXEC transaction. `build` receives the
+  // transaction and queues commands on it, e.g. (multi) => multi.incr('a').
+  async multi(build) {
+    try {
+      const multi = this.client.multi();
+      build(multi);
+      return await multi.exec();
+    } catch (error) {
+      console.error('Error executing Redis transaction:', error);
+      return null;
+    }
+  }
+
+  // Send several commands in one round trip without transaction semantics
+  async pipeline(build) {
+    try {
+      const pipeline = this.client.multi();
+      build(pipeline);
+      return await pipeline.execAsPipeline();
+    } catch (error) {
+      console.error('Error executing Redis pipeline:', error);
+      return null;
+    }
+  }
+
+  async hSet(key, field, value) {
+    try {
+      await this.client.hSet(key, field, value);
+      return true;
+    } catch (error) {
+      console.error('Error setting Redis hash field:', error);
+      return false;
+    }
+  }
+
+  // Set a hash field only if it does not exist yet. Returns null on error.
+  async hSetNx(key, field, value) {
+    try {
+      return await this.client.hSetNX(key, field, value);
+    } catch (error) {
+      console.error('Error setting Redis hash field:', error);
+      return null;
+    }
+  }
+
+  async hGet(key, field) {
+    try {
+      return await this.client.hGet(key, field);
+    } catch (error) {
+      console.error('Error getting Redis hash field:', error);
+      return null;
+    }
+  }
+
+  async hGetAll(key) {
+    try {
+      return await this.client.hGetAll(key);
+    } catch (error) {
+      console.error('Error getting Redis hash:', error);
+      return {};
+    }
+  }
+
+  async hDel(key, field) {
+    try {
+      const result = await this.client.hDel(key, field);
+      return result > 0;
+    } catch (error) {
+      console.error('Error deleting Redis hash field:', error);
+      return false;
+    }
+  }
+
+  async hIncrBy(key, field, increment = 1) {
+    try {
+      return await this.client.hIncrBy(key, field, increment);
+    } catch (error) {
+      console.error('Error incrementing Redis hash field:', error);
+      return null;
+    }
+  }
+
+  async sAdd(key, member) {
+    try {
+      return await this.client.sAdd(key, member);
+    } catch (error) {
+      console.error('Error adding to Redis set:', error);
+      return 0;
+    }
+  }
+
+  async sRem(key, member) {
+    try {
+      return await this.client.sRem(key, member);
+    } catch (error) {
+      console.error('Error removing from Redis set:', error);
+      return 0;
+    }
+  }
+
+  async sMembers(key) {
+    try {
+      return await this.client.sMembers(key);
+    } catch (error) {
+      console.error('Error reading Redis set:', error);
+      return [];
+    }
+  }
+
+  async sIsMember(key, member) {
+    try {
+      return await this.client.sIsMember(key, member);
+    } catch (error) {
+      console.error('Error checking Redis set membership:', error);
+      return false;
+    }
+  }
+
+  async lPush(key, value) {
+    try {
+      return await this.client.lPush(key, value);
+    } catch (error) {
+      console.error('Error pushing to Redis list:', error);
+      return null;
+    }
+  }
+
+  async lRange(key, start, stop) {
+    try {
+      return await this.client.lRange(key, start, stop);
+    } catch (error) {
+      console.error('Error reading Redis list:', error);
+      return [];
+    }
+  }
+
+  async lTrim(key, start, stop) {
+    try {
+      await this.client.lTrim(key, start, stop);
+      return true;
+    } catch (error) {
+      console.error('Error trimming Redis list:', error);
+      return false;
+    }
+  }
+
+  // Open a separate connection for code that needs its own client, such as
+  // the Socket.io Redis adapter and emitter
+  async duplicate() {
+    const client = this.client.duplicate();
+    client.on('error', (err) => {
+      console.error('❌ Redis Client Error:', err);
+    });
+    await client.connect();
+    return client;
+  }
+
+  async publish(channel, message) {
+    try {
+      return await this.client.publish(channel, message);
+    } catch (error) {
+      console.error('Error publishing to Redis channel:', error);
+      return 0;
+    }
+  }
+
+  // Subscriptions block their connection, so they share a second client
+  // that is only created once something subscribes
+  async subscribe(channel, listener) {
+    try {
+      if (!this.subscriber) {
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', (err) => {
+          console.error('❌ Redis Subscriber Error:', err);
+        });
+        this.subscriberReady = this.subscriber.connect();
+      }
+
+      await this.subscriberReady;
+      await this.subscriber.subscribe(channel, listener);
+      return true;
+    } catch (error) {
+      console.error('Error subscribing to Redis channel:', error);
+      return false;
+    }
+  }
+
+  async unsubscribe(channel, listener) {
+    try {
+      if (this.subscriber) {
+        await this.subscriber.unsubscribe(channel, listener);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error unsubscribing from Redis channel:', error);
+      return false;
+    }
+  }
+
   async quit() {
     try {
+      if (this.subscriber) {
+        await this.subscriber.quit();
+      }
       await this.client.quit();
       console.log('✅ Redis connection closed gracefully');
     } catch (error) {
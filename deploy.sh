@@ -35,6 +35,8 @@ DOMAIN="shorttermemail.com"
 APP_NAME="shorttermemail-backend"
 APP_DIR="/var/www/$APP_NAME"
 SERVICE_USER=$(whoami)
+API_PORT=3001
+export API_INSTANCES=${API_INSTANCES:-$(nproc)}
 
 log_info "Starting $APP_NAME deployment..."
 log_info "Environment: $ENVIRONMENT"
@@ -110,10 +112,10 @@ if [ ! -f .env ]; then
     
     # Generate secure secrets
     SESSION_SECRET=$(openssl rand -base64 64)
-    API_KEY=$(openssl rand -base64 32)
+    ADMIN_API_KEY=$(openssl rand -hex 32)
     
     sed -i "s/your-super-secure-session-secret/$SESSION_SECRET/" .env
-    sed -i "s/your-secure-api-key-here/$API_KEY/" .env
+    sed -i "s/your-secure-admin-key-here/$ADMIN_API_KEY/" .env
     sed -i "s/shorttermemail.com/$DOMAIN/" .env
     
     log_success "Environment file created with secure secrets"
@@ -147,10 +149,21 @@ pm2 start ecosystem.config.js --env $ENVIRONMENT
 pm2 save
 pm2 startup
 
-# Configure Nginx for API
+# Configure Nginx for API. Each PM2 worker listens on its own port and
+# ip_hash keeps a client on the same worker, which Socket.io long-polling
+# needs.
 log_info "Configuring Nginx..."
+API_UPSTREAM=""
+for ((i = 0; i < API_INSTANCES; i++)); do
+    API_UPSTREAM+="    server 127.0.0.1:$((API_PORT + i));"$'\n'
+done
+
 sudo tee /etc/nginx/sites-available/api.$DOMAIN << EOF
 # ShortTermEmail.com API - Nginx Configuration
+upstream shorttermemail_api {
+    ip_hash;
+$API_UPSTREAM}
+
 server {
     listen 80;
     server_name api.$DOMAIN;
@@ -164,7 +177,7 @@ server {
     
     # Proxy to Node.js application
     location / {
-        proxy_pass http://localhost:3001;
+        proxy_pass http://shorttermemail_api;
         proxy_http_version 1.1;
         proxy_set_header Upgrade \$http_upgrade;
         proxy_set_header Connection 'upgrade';
@@ -183,7 +196,7 @@ server {
     # API rate limiting
     location /api/ {
         limit_req zone=api burst=20 nodelay;
-        proxy_pass http://localhost:3001;
+        proxy_pass http://shorttermemail_api;
         proxy_http_version 1.1;
         proxy_set_header Upgrade \$http_upgrade;
         proxy_set_header Connection 'upgrade';
@@ -198,7 +211,7 @@ server {
     location /api/health {
         access_log off;
         limit_req off;
-        proxy_pass http://localhost:3001;
+        proxy_pass http://shorttermemail_api;
     }
     
     # Deny access to sensitive files
@@ -250,7 +263,8 @@ log_info "Configuring firewall..."
 sudo ufw allow ssh
 sudo ufw allow 'Nginx Full'
 sudo ufw allow 25/tcp  # SMTP
-sudo ufw allow 3001/tcp  # API (for internal use)
+sudo ufw allow 465/tcp  # SMTP over implicit TLS (SMTP_SECURE=true)
+sudo ufw allow $API_PORT:$((API_PORT + API_INSTANCES - 1))/tcp  # API workers (for internal use)
 sudo ufw --force enable
 
 # Create maintenance script
@@ -1,9 +1,18 @@
+import { cpus } from 'os';
+
+// deploy.sh sets API_INSTANCES so the nginx upstream lists every worker
+const API_INSTANCES = parseInt(process.env.API_INSTANCES) || cpus().length;
+
 export default {
   apps: [{
     name: 'shorttermemail-api',
     script: './server.js',
-    instances: 'max',
+    instances: API_INSTANCES,
     exec_mode: 'cluster',
+    // Every worker listens on its own port counting up from PORT, so nginx
+    // can keep each client on one worker (ip_hash) as Socket.io long-polling
+    // requires
+    increment_var: 'PORT',
     env: {
       NODE_ENV: 'development',
       PORT: 3001
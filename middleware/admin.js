@@ -0,0 +1,65 @@
+import { timingSafeEqual } from 'crypto';
+import auditLog from '../utils/auditLog.js';
+import { getClientIP } from '../utils/helper.js';
+import config from '../config/config.js';
+
+// Record an admin request in the audit log once its response is sent.
+// Requests that never got past the admin key check are recorded as denied.
+const auditRequest = (req, res) => {
+  const path = req.originalUrl.split('?')[0];
+
+  res.on('finish', () => {
+    const status = !res.locals.adminAuthenticated ? 'denied' : res.statusCode < 400 ? 'success' : 'failed';
+
+    auditLog.record({
+      action: `${req.method} ${path}`,
+      status,
+      statusCode: res.statusCode,
+      ip: getClientIP(req),
+      query: req.query,
+      body: ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method) ? req.body : undefined
+    }).catch(error => {
+      console.error('Error writing audit log:', error);
+    });
+  });
+};
+
+// Require the admin credential sent in X-Admin-Key. Admin access is kept
+// separate from regular API keys and is disabled when ADMIN_API_KEY is unset.
+// Every request that reaches this check, allowed or not, is audited.
+export const requireAdmin = (req, res, next) => {
+  const adminKey = config.security.adminApiKey;
+  const provided = req.headers['x-admin-key'];
+
+  auditRequest(req, res);
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin access disabled',
+      message: 'Admin access is not configured on this server.'
+    });
+  }
+
+  if (!provided) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin key required',
+      message: 'Please provide a valid admin key.'
+    });
+  }
+
+  const expected = Buffer.from(adminKey);
+  const actual = Buffer.from(String(provided));
+
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid admin key',
+      message: 'The provided admin key is not valid.'
+    });
+  }
+
+  res.locals.adminAuthenticated = true;
+  next();
+};
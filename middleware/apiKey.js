@@ -0,0 +1,32 @@
+import apiKeyStore from '../utils/apiKeyStore.js';
+
+// Attach the API key sent in X-API-Key to req.apiKey. Requests without a key
+// pass through anonymously; a key that is unknown, revoked or expired fails.
+export const authenticateApiKey = async (req, res, next) => {
+  const key = req.headers['x-api-key'];
+
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const record = await apiKeyStore.authenticate(key);
+
+    if (!record) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key',
+        message: 'The provided API key is not valid, has expired or was revoked.'
+      });
+    }
+
+    req.apiKey = record;
+    apiKeyStore.recordUsage(record.id).catch(error => {
+      console.error('Error recording API key usage:', error);
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,101 @@
+import mailboxStore from '../utils/mailboxStore.js';
+import { getRequestToken, verifyMailboxToken } from '../utils/mailboxTokens.js';
+
+// Load the mailbox named by the :email parameter into req.mailbox
+export const loadMailbox = async (req, res, next) => {
+  try {
+    const { email } = req.params;
+    const mailbox = await mailboxStore.get(email);
+
+    if (!mailbox) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email not found',
+        message: 'The requested email address does not exist or has expired'
+      });
+    }
+
+    // Check if email has expired
+    if (Date.now() > mailbox.expires) {
+      await mailboxStore.remove(email);
+      return res.status(410).json({
+        success: false,
+        error: 'Email expired',
+        message: 'This temporary email has expired'
+      });
+    }
+
+    req.mailbox = mailbox;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load the message named by the :id parameter into req.message
+export const loadMessage = async (req, res, next) => {
+  try {
+    const message = await mailboxStore.getMessage(req.params.email, req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found',
+        message: 'The requested message does not exist in this inbox'
+      });
+    }
+
+    req.message = message;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require the mailbox access token (or a valid share token) for req.mailbox
+export const requireMailboxAccess = (req, res, next) => {
+  // Mailboxes created before access tokens existed, and catch-all mailboxes
+  // created on delivery, have no owner and stay open until they expire
+  if (!req.mailbox.tokenHash) {
+    req.mailboxAccess = 'owner';
+    return next();
+  }
+
+  const token = getRequestToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token required',
+      message: 'Please provide the access token returned when this email was created.'
+    });
+  }
+
+  const access = verifyMailboxToken(req.mailbox, token);
+
+  if (!access) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid access token',
+      message: 'The provided access token is not valid for this email address.'
+    });
+  }
+
+  req.mailboxAccess = access;
+  next();
+};
+
+// Restrict a route to the mailbox owner, rejecting share tokens
+export const requireMailboxOwner = (req, res, next) => {
+  requireMailboxAccess(req, res, () => {
+    if (req.mailboxAccess !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        error: 'Owner access required',
+        message: 'Shared links cannot perform this action.'
+      });
+    }
+
+    next();
+  });
+};
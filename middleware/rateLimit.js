@@ -1,10 +1,68 @@
 import rateLimit from 'express-rate-limit';
+import redisClient from '../config/redis.js';
 import config from '../config/config.js';
 
+// Count a hit in a fixed window that starts with the first hit and return
+// the count with the time left in the window.
+// KEYS: counter; ARGV: window (ms)
+const HIT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`;
+
+// Keeps hit counts in Redis so every cluster worker shares the same limits
+class RedisStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.windowMs = null;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  // Fails open if Redis is unavailable
+  async increment(key) {
+    try {
+      const [totalHits, ttl] = await redisClient.eval(HIT_SCRIPT, [this.key(key)], [this.windowMs]);
+      return { totalHits, resetTime: new Date(Date.now() + ttl) };
+    } catch (error) {
+      console.error('Error updating API rate limit:', error);
+      return { totalHits: 0, resetTime: undefined };
+    }
+  }
+
+  async decrement(key) {
+    await redisClient.decr(this.key(key));
+  }
+
+  async resetKey(key) {
+    await redisClient.del(this.key(key));
+  }
+}
+
+// Requests authenticated with an API key are limited per key using the
+// limits of the key's tier; anonymous requests are limited per IP.
+const tierFor = (req) => (req.apiKey ? config.apiKeys.tiers[req.apiKey.tier] : null);
+
+const limitKey = (req) => (req.apiKey ? `apikey:${req.apiKey.id}` : req.ip);
+
 // General API rate limiter
 export const apiLimiter = rateLimit({
+  store: new RedisStore('ratelimit:api:'),
   windowMs: config.rateLimit.windowMs,
-  max: config.rateLimit.max,
+  max: (req) => tierFor(req)?.max ?? config.rateLimit.max,
+  keyGenerator: limitKey,
   message: {
     success: false,
     error: 'Too many requests',
@@ -27,8 +85,10 @@ export const apiLimiter = rateLimit({
 
 // Email generation rate limiter (more strict)
 export const emailGenerationLimiter = rateLimit({
+  store: new RedisStore('ratelimit:generate:'),
   windowMs: config.rateLimit.emailGeneration.windowMs,
-  max: config.rateLimit.emailGeneration.max,
+  max: (req) => tierFor(req)?.emailGenerationMax ?? config.rateLimit.emailGeneration.max,
+  keyGenerator: limitKey,
   message: {
     success: false,
     error: 'Too many email generations',
@@ -43,18 +103,4 @@ export const emailGenerationLimiter = rateLimit({
       message: 'Too many email generation requests, please try again in a minute.'
     });
   }
-});
-
-// SMTP rate limiter (for email reception)
-export const smtpLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // Higher limit for SMTP
-  message: {
-    success: false,
-    error: 'Too many SMTP requests'
-  },
-  skip: (req) => {
-    // Skip for certain conditions if needed
-    return false;
-  }
 });
\ No newline at end of file
@@ -1,5 +1,11 @@
 import validator from 'validator';
 import config from '../config/config.js';
+import domainRegistry from '../utils/domainRegistry.js';
+import { isPrivateIP } from '../utils/helper.js';
+import { compileSubjectFilter, compileSubjectPattern, decodeCursor, parseTimestamp } from '../utils/messageFilters.js';
+
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
 
 // Validate email parameter
 export const validateEmail = (req, res, next) => {
@@ -13,20 +19,20 @@ export const validateEmail = (req, res, next) => {
     });
   }
   
-  // Check if email belongs to our supported domains
-  const isValidDomain = config.email.allowedDomains.some(domain => 
-    email.toLowerCase().endsWith(domain)
-  );
-  
-  if (!isValidDomain) {
+  // Check if email belongs to one of our domains. Disabled domains still
+  // count so their existing mailboxes can be read until they expire.
+  if (!domainRegistry.isKnownAddress(email)) {
     return res.status(400).json({
       success: false,
       error: 'Unsupported email domain',
       message: 'The email domain is not supported by this service.',
-      supportedDomains: config.email.allowedDomains
+      supportedDomains: domainRegistry.enabled()
     });
   }
   
+  // Mailboxes are stored under the lowercased address
+  req.params.email = email.toLowerCase();
+  
   next();
 };
 
@@ -61,53 +67,158 @@ export const validateGenerateEmailRequest = (req, res, next) => {
     });
   }
   
+  // Validate custom lifetime
+  if (req.body.ttlMinutes !== undefined && !isValidTtlMinutes(req.body.ttlMinutes)) {
+    return res.status(400).json(invalidTtlResponse('ttlMinutes'));
+  }
+  
   next();
 };
 
-// Sanitize email content to prevent XSS
-export const sanitizeEmailContent = (content) => {
-  if (!content) return '';
-  
-  // Basic XSS prevention
-  return content
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#x27;')
-    .replace(/\//g, '&#x2F;')
-    .replace(/\\/g, '&#x5C;')
-    .replace(/`/g, '&#96;')
-    .replace(/\$/g, '&#36;')
-    .replace(/\(/g, '&#40;')
-    .replace(/\)/g, '&#41;')
-    .replace(/\{/g, '&#123;')
-    .replace(/\}/g, '&#125;')
-    .replace(/\[/g, '&#91;')
-    .replace(/\]/g, '&#93;');
+// Validate mailbox extension request
+export const validateExtendRequest = (req, res, next) => {
+  const { minutes } = req.body;
+  
+  if (minutes !== undefined && !isValidTtlMinutes(minutes)) {
+    return res.status(400).json(invalidTtlResponse('minutes'));
+  }
+  
+  next();
 };
 
-// Validate API key (for future use)
-export const validateApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
+// Validate webhook registration request
+export const validateWebhookRequest = (req, res, next) => {
+  const { url, secret } = req.body;
   
-  if (!apiKey) {
-    return res.status(401).json({
+  const isValidUrl = typeof url === 'string' && url.length <= 2048 && validator.isURL(url, {
+    protocols: ['http', 'https'],
+    require_protocol: true,
+    require_tld: !config.webhooks.allowPrivateUrls
+  });
+  
+  if (!isValidUrl) {
+    return res.status(400).json({
       success: false,
-      error: 'API key required',
-      message: 'Please provide a valid API key.'
+      error: 'Invalid webhook URL',
+      message: 'url must be an absolute http or https URL.'
     });
   }
   
-  // In a real application, you would validate against a database
-  // For now, we'll use a simple environment variable check
-  const validApiKey = process.env.API_KEY;
-  if (validApiKey && apiKey !== validApiKey) {
-    return res.status(403).json({
+  const { hostname } = new URL(url);
+  if (!config.webhooks.allowPrivateUrls && (hostname === 'localhost' || isPrivateIP(hostname.replace(/^\[|\]$/g, '')))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid webhook URL',
+      message: 'Webhooks cannot be sent to localhost or private networks.'
+    });
+  }
+  
+  if (secret !== undefined && !(typeof secret === 'string' && secret.length >= 16 && secret.length <= 256)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid webhook secret',
+      message: 'secret must be between 16 and 256 characters.'
+    });
+  }
+  
+  next();
+};
+
+// Read a ?from filter: an address, or a domain when it starts with "@"
+const readSender = (from) => (typeof from === 'string' && from ? from : null);
+
+// Validate the ?from and ?subject filters of the wait and latest-code
+// endpoints into req.messageFilters. subject is a regular expression.
+export const validateMessageFilters = (req, res, next) => {
+  const { from, subject } = req.query;
+  const filters = {
+    from: readSender(from),
+    subject: subject === undefined ? null : compileSubjectPattern(subject)
+  };
+  
+  if (subject !== undefined && !filters.subject) {
+    return res.status(400).json({
       success: false,
-      error: 'Invalid API key',
-      message: 'The provided API key is not valid.'
+      error: 'Invalid subject pattern',
+      message: 'subject must be a valid regular expression of 200 characters or less.'
     });
   }
   
+  req.messageFilters = filters;
   next();
-};
\ No newline at end of file
+};
+
+// Validate inbox search, pagination and view parameters into req.inboxQuery
+export const validateInboxQuery = (req, res, next) => {
+  const { from, subject, since, until, unread, hasAttachments, q, spam, sort, cursor, limit, view } = req.query;
+  const invalid = (error, message) => res.status(400).json({ success: false, error, message });
+  const flag = (value) => value === undefined ? null : value === 'true' ? true : value === 'false' ? false : undefined;
+  
+  const filters = {
+    from: readSender(from),
+    subject: subject === undefined ? null : compileSubjectFilter(subject),
+    since: since === undefined ? null : parseTimestamp(since),
+    until: until === undefined ? null : parseTimestamp(until),
+    unread: flag(unread),
+    hasAttachments: flag(hasAttachments),
+    q: typeof q === 'string' && q ? q : null,
+    spam: spam === undefined ? null : spam
+  };
+  
+  if (subject !== undefined && !filters.subject) {
+    return invalid('Invalid subject filter', 'subject must be text, or a /regular expression/, of 200 characters or less.');
+  }
+  
+  if ((since !== undefined && filters.since === null) || (until !== undefined && filters.until === null)) {
+    return invalid('Invalid time range', 'since and until must be timestamps in milliseconds or ISO 8601 dates.');
+  }
+  
+  if (filters.unread === undefined || filters.hasAttachments === undefined) {
+    return invalid('Invalid flag', 'unread and hasAttachments must be true or false.');
+  }
+  
+  if (filters.q && filters.q.length > MAX_QUERY_LENGTH) {
+    return invalid('Invalid search query', `q must be ${MAX_QUERY_LENGTH} characters or less.`);
+  }
+  
+  if (spam !== undefined && !['exclude', 'only'].includes(spam)) {
+    return invalid('Invalid spam filter', 'spam must be either "exclude" or "only".');
+  }
+  
+  if (sort !== undefined && !['oldest', 'newest'].includes(sort)) {
+    return invalid('Invalid sort order', 'sort must be either "oldest" or "newest".');
+  }
+  
+  if (view !== undefined && !['full', 'summary'].includes(view)) {
+    return invalid('Invalid view', 'view must be either "full" or "summary".');
+  }
+  
+  const pageSize = limit === undefined ? null : Number(limit);
+  if (pageSize !== null && !(Number.isInteger(pageSize) && pageSize >= 1 && pageSize <= MAX_PAGE_SIZE)) {
+    return invalid('Invalid page size', `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+  
+  const position = cursor === undefined ? null : decodeCursor(cursor);
+  if (cursor !== undefined && !position) {
+    return invalid('Invalid cursor', 'cursor must be a nextCursor value returned by this endpoint.');
+  }
+  
+  req.inboxQuery = { filters, sort: sort || 'oldest', limit: pageSize, cursor: position, view: view || 'full' };
+  next();
+};
+
+// Mailbox lifetimes must be whole minutes within the configured bounds
+const isValidTtlMinutes = (minutes) =>
+  Number.isInteger(minutes) &&
+  minutes >= config.email.minTtlMinutes &&
+  minutes <= config.email.maxTtlMinutes;
+
+const invalidTtlResponse = (field) => ({
+  success: false,
+  error: 'Invalid lifetime',
+  message: `${field} must be a whole number between ${config.email.minTtlMinutes} and ${config.email.maxTtlMinutes}.`,
+  limits: {
+    minTtlMinutes: config.email.minTtlMinutes,
+    maxTtlMinutes: config.email.maxTtlMinutes
+  }
+});
\ No newline at end of file
@@ -0,0 +1,388 @@
+import express from 'express';
+import validator from 'validator';
+import { requireAdmin } from '../middleware/admin.js';
+import apiKeyStore from '../utils/apiKeyStore.js';
+import auditLog from '../utils/auditLog.js';
+import mailboxStore from '../utils/mailboxStore.js';
+import domainRegistry from '../utils/domainRegistry.js';
+import inboundFilter from '../utils/inboundFilter.js';
+import webhookDispatcher from '../utils/webhookDispatcher.js';
+import config from '../config/config.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Create an API key. The plaintext key is only returned in this response.
+router.post('/api-keys', async (req, res) => {
+  try {
+    const { name, tier = config.apiKeys.defaultTier, expiresInDays } = req.body;
+
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid key name',
+        message: 'A name of 100 characters or less is required.'
+      });
+    }
+
+    if (!config.apiKeys.tiers[tier]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tier',
+        message: `Tier must be one of: ${Object.keys(config.apiKeys.tiers).join(', ')}.`
+      });
+    }
+
+    if (expiresInDays !== undefined && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid expiry',
+        message: 'expiresInDays must be a positive whole number.'
+      });
+    }
+
+    const { key, record } = await apiKeyStore.create({ name, tier, expiresInDays });
+
+    console.log(`🔑 API key created: ${record.id} (${name}, ${tier})`);
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey: record,
+      message: 'Store this key safely, it will not be shown again'
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+// List API keys with their usage
+router.get('/api-keys', async (req, res) => {
+  try {
+    const keys = await apiKeyStore.list();
+
+    res.json({
+      success: true,
+      apiKeys: keys,
+      total: keys.length
+    });
+
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to list API keys'
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const record = await apiKeyStore.revoke(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        message: 'The requested API key does not exist or is already revoked'
+      });
+    }
+
+    console.log(`🔒 API key revoked: ${record.id}`);
+
+    res.json({
+      success: true,
+      apiKey: record,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+// Query the admin audit log, newest first
+router.get('/audit', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { action, status } = req.query;
+
+    const { entries, total } = await auditLog.query({ limit, offset, action, status });
+
+    res.json({
+      success: true,
+      entries,
+      total,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to query audit log'
+    });
+  }
+});
+
+// Rebuild the mailbox registry from existing mailbox keys
+router.post('/reindex', async (req, res) => {
+  try {
+    const indexed = await mailboxStore.rebuildIndex();
+
+    console.log(`📇 Reindexed ${indexed} mailboxes`);
+
+    res.json({
+      success: true,
+      message: `Reindexed ${indexed} mailboxes`,
+      indexed
+    });
+
+  } catch (error) {
+    console.error('Error rebuilding mailbox index:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to rebuild mailbox index'
+    });
+  }
+});
+
+// List every registered domain, including disabled ones
+router.get('/domains', async (req, res) => {
+  try {
+    const domains = await domainRegistry.reload();
+
+    res.json({
+      success: true,
+      domains,
+      total: domains.length
+    });
+
+  } catch (error) {
+    console.error('Error listing domains:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to list domains'
+    });
+  }
+});
+
+// Add a domain, or re-enable a disabled one. Its MX records must already
+// point at the SMTP server for mail to arrive.
+router.post('/domains', async (req, res) => {
+  try {
+    const { domain } = req.body;
+
+    if (!domain || typeof domain !== 'string' || !validator.isFQDN(domain)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid domain',
+        message: 'A fully qualified domain name is required.'
+      });
+    }
+
+    const record = await domainRegistry.add(domain);
+
+    console.log(`🌐 Domain enabled: ${record.domain}`);
+
+    res.status(201).json({
+      success: true,
+      domain: record,
+      message: 'Domain enabled successfully'
+    });
+
+  } catch (error) {
+    console.error('Error adding domain:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to add domain'
+    });
+  }
+});
+
+// Enable or disable a domain. Disabled domains reject new mail and are not
+// used for new addresses, existing mailboxes on them expire as usual.
+router.patch('/domains/:domain', async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid update',
+        message: 'enabled must be true or false.'
+      });
+    }
+
+    const existing = domainRegistry.get(req.params.domain);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Domain not found',
+        message: 'The requested domain is not registered'
+      });
+    }
+
+    if (!enabled && existing.enabled && domainRegistry.enabled().length === 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Last enabled domain',
+        message: 'At least one domain must stay enabled.'
+      });
+    }
+
+    const record = enabled
+      ? await domainRegistry.add(req.params.domain)
+      : await domainRegistry.disable(req.params.domain);
+
+    console.log(`🌐 Domain ${record.enabled ? 'enabled' : 'disabled'}: ${record.domain}`);
+
+    res.json({
+      success: true,
+      domain: record,
+      message: `Domain ${record.enabled ? 'enabled' : 'disabled'} successfully`
+    });
+
+  } catch (error) {
+    console.error('Error updating domain:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to update domain'
+    });
+  }
+});
+
+// List the SMTP blocklist
+router.get('/blocklist', async (req, res) => {
+  try {
+    const { entries, configured } = await inboundFilter.listBlocked();
+
+    res.json({
+      success: true,
+      entries,
+      configured,
+      total: entries.length + configured.length
+    });
+
+  } catch (error) {
+    console.error('Error listing blocklist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to list blocklist'
+    });
+  }
+});
+
+// Block an IP address, sender address or sender domain
+router.post('/blocklist', async (req, res) => {
+  try {
+    const { entry } = req.body;
+
+    if (!entry || typeof entry !== 'string' ||
+      !(validator.isIP(entry) || validator.isEmail(entry) || validator.isFQDN(entry))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid entry',
+        message: 'Entry must be an IP address, an email address or a domain.'
+      });
+    }
+
+    await inboundFilter.block(entry);
+
+    console.log(`🚫 Blocked: ${entry}`);
+
+    res.status(201).json({
+      success: true,
+      entry: entry.toLowerCase(),
+      message: 'Entry blocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Error adding blocklist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to add blocklist entry'
+    });
+  }
+});
+
+// Remove an entry from the runtime blocklist
+router.delete('/blocklist/:entry', async (req, res) => {
+  try {
+    const removed = await inboundFilter.unblock(req.params.entry);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entry not found',
+        message: 'The entry is not on the runtime blocklist'
+      });
+    }
+
+    console.log(`✅ Unblocked: ${req.params.entry}`);
+
+    res.json({
+      success: true,
+      message: 'Entry removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing blocklist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to remove blocklist entry'
+    });
+  }
+});
+
+// Webhook deliveries that exhausted their retries, newest first
+router.get('/webhooks/dead-letter', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const entries = await webhookDispatcher.deadLetters({ limit, offset });
+
+    res.json({
+      success: true,
+      entries,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook dead letters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch webhook dead letters'
+    });
+  }
+});
+
+export default router;
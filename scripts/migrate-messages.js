@@ -0,0 +1,20 @@
+// One-shot migration from one JSON document per mailbox (email:<address>
+// holding an `emails` array) to per-message hashes. Safe to run more than once.
+//
+// Usage: npm run migrate:messages
+import redisClient from '../config/redis.js';
+import mailboxStore from '../utils/mailboxStore.js';
+
+try {
+  console.log('📦 Migrating mailboxes to per-message storage...');
+
+  const migrated = await mailboxStore.migrateLegacyMailboxes();
+  const indexed = await mailboxStore.rebuildIndex();
+
+  console.log(`✅ Migrated ${migrated} mailboxes, ${indexed} mailboxes indexed`);
+} catch (error) {
+  console.error('💥 Migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await redisClient.quit();
+}
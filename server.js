@@ -4,13 +4,31 @@ import helmet from 'helmet';
 import compression from 'compression';
 import morgan from 'morgan';
 import { createServer } from 'http';
+import { createHash } from 'crypto';
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import redisClient from './config/redis.js';
 import { apiLimiter, emailGenerationLimiter } from './middleware/rateLimit.js';
-import { validateEmail, validateGenerateEmailRequest } from './middleware/validation.js';
+import { authenticateApiKey } from './middleware/apiKey.js';
+import { requireAdmin } from './middleware/admin.js';
+import { validateEmail, validateGenerateEmailRequest, validateExtendRequest, validateWebhookRequest, validateInboxQuery, validateMessageFilters } from './middleware/validation.js';
+import { loadMailbox, loadMessage, requireMailboxAccess, requireMailboxOwner } from './middleware/mailbox.js';
 import { generateRandomEmail, generatePronounceableEmail } from './utils/emailGenerator.js';
+import { parseHeaders } from './utils/mailParser.js';
+import { truncateText } from './utils/helper.js';
+import { attachmentUrl } from './utils/htmlSanitizer.js';
+import { applyImagePolicy, fetchImage, verifyImageSignature } from './utils/imageProxy.js';
+import attachmentStore from './utils/attachmentStore.js';
+import mailboxStore from './utils/mailboxStore.js';
+import expirySweeper from './utils/expirySweeper.js';
+import domainRegistry from './utils/domainRegistry.js';
+import webhookStore from './utils/webhookStore.js';
+import mailboxEvents from './utils/mailboxEvents.js';
+import { matchesFilters, paginate } from './utils/messageFilters.js';
+import { createShareToken, generateAccessToken, hashToken, verifyMailboxToken } from './utils/mailboxTokens.js';
+import adminRoutes from './routes/admin.js';
 import config from './config/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -30,6 +48,16 @@ const io = new Server(server, {
   }
 });
 
+// Rooms span every cluster worker, and the SMTP process emits into them,
+// through the Socket.io Redis adapter
+const adapterClients = [];
+
+const setupSocketAdapter = async () => {
+  const [pubClient, subClient] = await Promise.all([redisClient.duplicate(), redisClient.duplicate()]);
+  adapterClients.push(pubClient, subClient);
+  io.adapter(createAdapter(pubClient, subClient));
+};
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -54,14 +82,42 @@ app.use(cors({
     'http://localhost:3000'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'DELETE']
+  methods: ['GET', 'POST', 'PATCH', 'DELETE']
 }));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting
-app.use('/api/', apiLimiter);
+// API key authentication and rate limiting
+app.use('/api/', authenticateApiKey, apiLimiter);
+
+// Shape a stored message for API responses. Remote images stay blocked
+// unless the reader opts in with ?loadImages=true. The blobId shared between
+// copies for other recipients stays internal.
+const presentMessage = ({ blobId, ...message }, req) => {
+  const loadImages = req.query.loadImages === 'true';
+
+  return {
+    ...message,
+    attachments: message.attachments || [],
+    html: applyImagePolicy(message.html, loadImages),
+    images: { remote: 0, trackers: 0, ...message.images, blocked: !loadImages }
+  };
+};
+
+// Just enough of a message for an inbox list, clients load the body on demand
+const summarizeMessage = (message) => ({
+  id: message.id,
+  from: message.from,
+  fromName: message.fromName,
+  subject: message.subject,
+  snippet: truncateText((message.body || '').replace(/\s+/g, ' ').trim(), 120),
+  size: message.size,
+  read: message.read,
+  attachmentCount: message.attachments?.length || 0,
+  spam: message.spam?.isSpam ?? null,
+  timestamp: message.timestamp
+});
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -91,10 +147,12 @@ app.get('/api/info', (req, res) => {
       'Arabic and English support',
       'RESTful API'
     ],
-    domains: config.email.allowedDomains,
+    domains: domainRegistry.enabled(),
     limits: {
       maxEmailsPerAddress: config.email.maxEmailsPerAddress,
       emailExpiryHours: config.email.emailExpiryHours,
+      minTtlMinutes: config.email.minTtlMinutes,
+      maxTtlMinutes: config.email.maxTtlMinutes,
       maxEmailSize: config.email.maxEmailSize
     }
   });
@@ -103,39 +161,44 @@ app.get('/api/info', (req, res) => {
 // Generate new temporary email
 app.post('/api/generate-email', emailGenerationLimiter, validateGenerateEmailRequest, async (req, res) => {
   try {
-    const { type = 'random', custom } = req.body;
+    const { type = 'random', custom, ttlMinutes } = req.body;
     let email;
 
     if (custom && /^[a-zA-Z0-9]+$/.test(custom)) {
-      const domains = config.email.allowedDomains;
-      const domain = domains[Math.floor(Math.random() * domains.length)];
-      email = `${custom}@${domain}`;
+      const domain = domainRegistry.randomDomain();
+      // Addresses are case-insensitive, so store them lowercased like SMTP looks them up
+      email = `${custom.toLowerCase()}@${domain}`;
     } else if (type === 'pronounceable') {
       email = generatePronounceableEmail();
     } else {
       email = generateRandomEmail();
     }
 
+    const token = generateAccessToken();
+    const lifetime = ttlMinutes ? ttlMinutes * 60 * 1000 : config.email.emailExpiryHours * 60 * 60 * 1000;
     const emailData = {
       email,
       created: Date.now(),
-      expires: Date.now() + (config.email.emailExpiryHours * 60 * 60 * 1000),
-      emails: [],
+      expires: Date.now() + lifetime,
+      tokenHash: hashToken(token),
       language: req.headers['accept-language']?.includes('ar') ? 'ar' : 'en'
     };
 
-    // Store in Redis with TTL
-    await redisClient.setEx(
-      `email:${email}`,
-      config.redis.ttl,
-      JSON.stringify(emailData)
-    );
+    // Store in Redis with TTL, never handing out an address someone else owns
+    if (!await mailboxStore.create(emailData)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email already exists',
+        message: 'This email address is already in use, please choose another one.'
+      });
+    }
 
     console.log(`📧 New email generated: ${email}`);
 
     res.json({
       success: true,
       email,
+      token,
       expires: emailData.expires,
       message: 'Temporary email created successfully',
       type: type || 'random'
@@ -151,14 +214,315 @@ app.post('/api/generate-email', emailGenerationLimiter, validateGenerateEmailReq
   }
 });
 
-// Get emails for an address
-app.get('/api/emails/:email', validateEmail, async (req, res) => {
+// Get emails for an address. Search filters narrow the list, total and
+// unread count the matches and ?limit pages through them with nextCursor.
+// ?view=summary leaves out bodies, and an unchanged inbox answers 304.
+app.get('/api/emails/:email', validateEmail, loadMailbox, requireMailboxAccess, validateInboxQuery, async (req, res) => {
+  try {
+    const emailData = req.mailbox;
+    const { filters, sort, cursor, limit, view } = req.inboxQuery;
+
+    // The ETag covers the mailbox, the version of its messages and the query,
+    // so polling an unchanged inbox doesn't load any messages
+    const version = await mailboxStore.version(req.params.email);
+    const etag = createHash('sha1')
+      .update(JSON.stringify([emailData.created, emailData.expires, version, req.query]))
+      .digest('base64url');
+
+    res.set({ ETag: `W/"${etag}"`, 'Cache-Control': 'private, no-cache' });
+
+    // Compared by hand because req.fresh ignores If-None-Match on requests
+    // sent with Cache-Control: no-cache, which fetch() adds to them
+    const known = (req.get('If-None-Match') || '').split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (known.includes(`"${etag}"`)) {
+      return res.status(304).end();
+    }
+
+    const emails = (await mailboxStore.getMessages(req.params.email))
+      .filter(message => matchesFilters(message, filters));
+    const { page, nextCursor } = paginate(emails, { sort, cursor, limit });
+
+    res.json({
+      success: true,
+      emails: page.map(message => view === 'summary' ? summarizeMessage(message) : {
+        ...presentMessage(message, req),
+        spam: message.spam || null
+      }),
+      expires: emailData.expires,
+      created: emailData.created,
+      total: emails.length,
+      unread: emails.filter(message => !message.read).length,
+      nextCursor
+    });
+
+  } catch (error) {
+    console.error('Error fetching emails:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch emails'
+    });
+  }
+});
+
+// Hold the request open until a matching email arrives, or return 204 on timeout
+app.get('/api/emails/:email/wait', validateEmail, loadMailbox, requireMailboxAccess, validateMessageFilters, async (req, res) => {
+  const { email } = req.params;
+  const timeout = req.query.timeout === undefined ? config.email.waitTimeoutSeconds : Number(req.query.timeout);
+
+  if (!Number.isInteger(timeout) || timeout < 1 || timeout > config.email.maxWaitTimeoutSeconds) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid timeout',
+      message: `timeout must be a whole number of seconds between 1 and ${config.email.maxWaitTimeoutSeconds}.`
+    });
+  }
+
+  const filters = req.messageFilters;
+  let finished = false;
+  let unsubscribe = null;
+  let timer = null;
+
+  const finish = (message) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    if (unsubscribe) unsubscribe();
+    if (res.headersSent || req.socket.destroyed) return;
+
+    if (message) {
+      res.json({
+        success: true,
+        email: presentMessage(message, req)
+      });
+    } else {
+      res.status(204).end();
+    }
+  };
+
+  // Registered before subscribing so a client that leaves during the
+  // subscription is still cleaned up
+  res.on('close', () => finish(null));
+
+  try {
+    // Subscribe before reading stored messages so none can slip in between
+    unsubscribe = await mailboxEvents.subscribe(email, (event, message) => {
+      if (event === 'new-email' && matchesFilters(message, filters)) {
+        finish(message);
+      }
+    });
+
+    if (finished) {
+      unsubscribe();
+      return;
+    }
+
+    // With ?since, messages that arrived after that one count as well
+    if (req.query.since !== undefined) {
+      const messages = await mailboxStore.getMessages(email);
+
+      // A live message may already have been sent while reading
+      if (finished) return;
+
+      const index = messages.findIndex(message => message.id === req.query.since);
+
+      if (index === -1) {
+        finished = true;
+        unsubscribe();
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid since',
+          message: 'since must be the id of a message in this inbox.'
+        });
+      }
+
+      const match = messages.slice(index + 1).find(message => matchesFilters(message, filters));
+      if (match) return finish(match);
+    }
+
+    if (!finished) {
+      timer = setTimeout(() => finish(null), timeout * 1000);
+    }
+
+  } catch (error) {
+    console.error('Error waiting for email:', error);
+    if (finished) return;
+    finished = true;
+    if (unsubscribe) unsubscribe();
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to wait for email'
+    });
+  }
+});
+
+// The newest one-time code in an inbox, optionally limited to messages
+// matching ?from and ?subject like the wait endpoint
+app.get('/api/emails/:email/latest-code', validateEmail, loadMailbox, requireMailboxAccess, validateMessageFilters, async (req, res) => {
+  try {
+    const messages = await mailboxStore.getMessages(req.params.email);
+    const message = messages.reverse().find(entry =>
+      entry.extracted?.codes?.length > 0 && matchesFilters(entry, req.messageFilters));
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'No code found',
+        message: 'No message in this inbox contains a one-time code'
+      });
+    }
+
+    const { codes, links } = message.extracted;
+
+    res.json({
+      success: true,
+      code: codes[0].code,
+      codes,
+      links,
+      email: {
+        id: message.id,
+        from: message.from,
+        subject: message.subject,
+        timestamp: message.timestamp
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching latest code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch latest code'
+    });
+  }
+});
+
+// Stream mailbox events as Server-Sent Events. New emails carry their message
+// id as the event id, so a client reconnecting with Last-Event-ID gets the
+// messages it missed replayed from the stored inbox.
+app.get('/api/emails/:email/stream', validateEmail, loadMailbox, requireMailboxAccess, async (req, res) => {
+  const { email } = req.params;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+  const sent = new Set();
+  let pending = [];
+  let closed = false;
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const send = (event, data, id = null) => {
+    if (closed) return;
+    if (id) {
+      if (sent.has(id)) return;
+      sent.add(id);
+      res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+
+  const forward = (event, data) => {
+    switch (event) {
+      case 'new-email':
+        return send('new-email', presentMessage(data, req), data.id);
+      case 'email-deleted':
+        return send('email-deleted', data);
+      case 'email-expiring':
+        return send('expiring', data);
+      case 'email-expired':
+        return close();
+    }
+  };
+
+  // Registered before subscribing so a client that leaves during the
+  // subscription is still cleaned up
+  res.on('close', close);
+
+  try {
+    // Subscribe before reading stored messages so none can slip in between.
+    // Live events wait in pending until the replay has been written.
+    unsubscribe = await mailboxEvents.subscribe(email, (event, data) => {
+      if (pending) {
+        pending.push([event, data]);
+      } else {
+        forward(event, data);
+      }
+    });
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    if (closed) return;
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to open event stream'
+    });
+  }
+
+  if (closed) {
+    unsubscribe();
+    return;
+  }
+
+  // no-transform keeps the compression middleware from buffering events and
+  // X-Accel-Buffering does the same for nginx
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  try {
+    if (lastEventId) {
+      const messages = await mailboxStore.getMessages(email);
+      const index = messages.findIndex(message => message.id === lastEventId);
+
+      // An id that is no longer stored replays the whole inbox, clients
+      // skip messages they already have by id
+      for (const message of messages.slice(index + 1)) {
+        forward('new-email', message);
+      }
+    }
+  } catch (error) {
+    console.error('Error replaying email events:', error);
+  }
+
+  const queued = pending;
+  pending = null;
+  for (const [event, data] of queued) {
+    forward(event, data);
+  }
+
+  if (!closed) {
+    heartbeat = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, config.email.streamHeartbeatSeconds * 1000);
+  }
+});
+
+// Extend the lifetime of an inbox
+app.post('/api/emails/:email/extend', validateEmail, loadMailbox, requireMailboxOwner, validateExtendRequest, async (req, res) => {
   try {
     const { email } = req.params;
+    const { minutes = config.email.emailExpiryHours * 60 } = req.body;
 
-    const data = await redisClient.get(`email:${email}`);
-    
-    if (!data) {
+    // Extensions stack on the current expiry, but an inbox never lives more
+    // than maxTtlMinutes from now
+    const now = Date.now();
+    const expires = Math.min(
+      Math.max(req.mailbox.expires, now) + minutes * 60 * 1000,
+      now + config.email.maxTtlMinutes * 60 * 1000
+    );
+
+    if (!await mailboxStore.extend(req.mailbox, expires)) {
       return res.status(404).json({
         success: false,
         error: 'Email not found',
@@ -166,45 +530,455 @@ app.get('/api/emails/:email', validateEmail, async (req, res) => {
       });
     }
 
-    const emailData = JSON.parse(data);
-    
-    // Check if email has expired
-    if (Date.now() > emailData.expires) {
-      await redisClient.del(`email:${email}`);
-      return res.status(410).json({
+    const messages = await mailboxStore.getMessages(email);
+    await attachmentStore.extendAll(email, messages, mailboxStore.ttlFor({ expires }));
+
+    console.log(`⏳ Email extended: ${email} until ${new Date(expires).toISOString()}`);
+    io.to(email).emit('email-extended', { email, expires });
+
+    res.json({
+      success: true,
+      email,
+      expires,
+      message: 'Email lifetime extended successfully'
+    });
+
+  } catch (error) {
+    console.error('Error extending email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to extend email'
+    });
+  }
+});
+
+// Create a signed, read-only share link for an inbox
+app.post('/api/emails/:email/share', validateEmail, loadMailbox, requireMailboxOwner, (req, res) => {
+  const { email } = req.params;
+  const { ttlMinutes } = req.body;
+
+  if (ttlMinutes !== undefined && !(Number.isInteger(ttlMinutes) && ttlMinutes > 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid share duration',
+      message: 'ttlMinutes must be a positive whole number.'
+    });
+  }
+
+  // A share link never outlives the inbox itself
+  const expires = ttlMinutes
+    ? Math.min(Date.now() + ttlMinutes * 60 * 1000, req.mailbox.expires)
+    : req.mailbox.expires;
+  const token = createShareToken(req.mailbox, expires);
+
+  res.json({
+    success: true,
+    token,
+    expires,
+    url: `${config.server.protocol}://api.${config.server.domain}/api/emails/${encodeURIComponent(email)}?token=${token}`
+  });
+});
+
+// Register a webhook that receives a signed POST for every new email
+app.post('/api/emails/:email/webhooks', validateEmail, loadMailbox, requireMailboxOwner, validateWebhookRequest, async (req, res) => {
+  try {
+    const existing = await webhookStore.list(req.params.email);
+
+    if (existing.length >= config.webhooks.maxPerMailbox) {
+      return res.status(409).json({
         success: false,
-        error: 'Email expired',
-        message: 'This temporary email has expired'
+        error: 'Webhook limit reached',
+        message: `A mailbox can have at most ${config.webhooks.maxPerMailbox} webhooks.`
       });
     }
 
+    const webhook = await webhookStore.create(req.mailbox, req.body);
+
+    res.status(201).json({
+      success: true,
+      webhook: webhookStore.toPublic(webhook),
+      secret: webhook.secret,
+      message: 'Store the secret safely, it will not be shown again'
+    });
+
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to create webhook'
+    });
+  }
+});
+
+// List the webhooks of a mailbox
+app.get('/api/emails/:email/webhooks', validateEmail, loadMailbox, requireMailboxOwner, async (req, res) => {
+  try {
+    const webhooks = await webhookStore.list(req.params.email);
+
     res.json({
       success: true,
-      emails: emailData.emails,
-      expires: emailData.expires,
-      created: emailData.created,
-      total: emailData.emails.length
+      webhooks: webhooks.map(webhook => webhookStore.toPublic(webhook)),
+      total: webhooks.length
     });
 
   } catch (error) {
-    console.error('Error fetching emails:', error);
+    console.error('Error listing webhooks:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error',
-      message: 'Failed to fetch emails'
+      message: 'Failed to list webhooks'
+    });
+  }
+});
+
+// Delivery attempts of a webhook, newest first
+app.get('/api/emails/:email/webhooks/:webhookId/deliveries', validateEmail, loadMailbox, requireMailboxOwner, async (req, res) => {
+  try {
+    const { email, webhookId } = req.params;
+    const webhook = await webhookStore.get(email, webhookId);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+        message: 'The requested webhook does not exist for this email'
+      });
+    }
+
+    const deliveries = await webhookStore.history(email, webhookId);
+
+    res.json({
+      success: true,
+      webhook: webhookStore.toPublic(webhook),
+      deliveries,
+      total: deliveries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// Remove a webhook. Pending retries for it are dropped.
+app.delete('/api/emails/:email/webhooks/:webhookId', validateEmail, loadMailbox, requireMailboxOwner, async (req, res) => {
+  try {
+    const removed = await webhookStore.remove(req.params.email, req.params.webhookId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+        message: 'The requested webhook does not exist for this email'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to delete webhook'
+    });
+  }
+});
+
+// Get a single message
+app.get('/api/emails/:email/messages/:id', validateEmail, loadMailbox, requireMailboxAccess, loadMessage, (req, res) => {
+  res.json({
+    success: true,
+    email: presentMessage(req.message, req)
+  });
+});
+
+// How long the token for inline images in a rendered message stays valid
+const HTML_SHARE_TTL_MS = 60 * 60 * 1000;
+
+// Render the sanitized HTML part of a message as a standalone document for a
+// sandboxed iframe. The CSP blocks scripts, forms and remote content.
+app.get('/api/emails/:email/messages/:id/html', validateEmail, loadMailbox, requireMailboxAccess, loadMessage, (req, res) => {
+  const { email, id } = req.params;
+
+  if (!req.message.html) {
+    return res.status(404).json({
+      success: false,
+      error: 'No HTML content',
+      message: 'This message has no HTML part'
+    });
+  }
+
+  let html = applyImagePolicy(req.message.html, req.query.loadImages === 'true');
+
+  // Inline images are loaded from the attachment endpoint, which needs a
+  // token the frame can't send as a header. A short-lived read-only share
+  // token is enough, so the owner token never ends up in the document.
+  if (req.mailbox.tokenHash) {
+    const expires = Math.min(Date.now() + HTML_SHARE_TTL_MS, req.mailbox.expires);
+    const token = createShareToken(req.mailbox, expires);
+    const prefix = attachmentUrl(email, id, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    html = html.replace(new RegExp(`${prefix}att\\d+`, 'g'), url => `${url}?token=${token}`);
+  }
+
+  const apiOrigin = `${config.server.protocol}://api.${config.server.domain}`;
+
+  res.removeHeader('X-Frame-Options');
+  res.set({
+    'Content-Security-Policy': [
+      "default-src 'none'",
+      `img-src 'self' ${apiOrigin} data:`,
+      "style-src 'unsafe-inline'",
+      "font-src data:",
+      "base-uri 'none'",
+      "form-action 'none'",
+      `frame-ancestors 'self' ${config.security.corsOrigins.join(' ')}`,
+      'sandbox allow-popups allow-popups-to-escape-sandbox'
+    ].join('; '),
+    'Referrer-Policy': 'no-referrer',
+    'Cache-Control': 'private, no-store'
+  });
+  res.type('html').send(`<!DOCTYPE html><html><head><meta charset="utf-8"></head><body>${html}</body></html>`);
+});
+
+// Mark a message as read or unread
+app.patch('/api/emails/:email/messages/:id', validateEmail, loadMailbox, requireMailboxOwner, loadMessage, async (req, res) => {
+  try {
+    const { email, id } = req.params;
+    const { read } = req.body;
+
+    if (read !== undefined && typeof read !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid read flag',
+        message: 'The read flag must be true or false.'
+      });
+    }
+
+    // Toggle when no explicit value is given
+    const value = read === undefined ? !req.message.read : read;
+
+    if (!await mailboxStore.updateMessage(email, id, { read: value })) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found',
+        message: 'The requested message does not exist in this inbox'
+      });
+    }
+
+    io.to(email).emit('email-updated', { id, read: value });
+
+    const emails = await mailboxStore.getMessages(email);
+
+    res.json({
+      success: true,
+      id,
+      read: value,
+      unread: emails.filter(message => !message.read).length
+    });
+
+  } catch (error) {
+    console.error('Error updating message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to update message'
+    });
+  }
+});
+
+// Delete a single message
+app.delete('/api/emails/:email/messages/:id', validateEmail, loadMailbox, requireMailboxOwner, loadMessage, async (req, res) => {
+  try {
+    const { email, id } = req.params;
+
+    const removed = await mailboxStore.removeMessage(email, id);
+    if (removed) {
+      await attachmentStore.removeAll(email, [removed]);
+    }
+
+    console.log(`🗑️ Message ${id} deleted from ${email}`);
+    io.to(email).emit('email-deleted', { id });
+    await mailboxEvents.publish(email, 'email-deleted', { id });
+
+    const emails = await mailboxStore.getMessages(email);
+
+    res.json({
+      success: true,
+      message: 'Message deleted successfully',
+      total: emails.length
+    });
+
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to delete message'
+    });
+  }
+});
+
+// Download the original message source
+app.get('/api/emails/:email/messages/:id/raw', validateEmail, loadMailbox, requireMailboxAccess, loadMessage, async (req, res) => {
+  try {
+    const { email, id } = req.params;
+
+    const source = await attachmentStore.getRaw(email, req.message);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Source not found',
+        message: 'The original source of this message is not available'
+      });
+    }
+
+    res.attachment(`${id}.eml`);
+    res.type('message/rfc822');
+    res.send(source);
+
+  } catch (error) {
+    console.error('Error fetching message source:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch message source'
+    });
+  }
+});
+
+// Get the headers of the original message
+app.get('/api/emails/:email/messages/:id/headers', validateEmail, loadMailbox, requireMailboxAccess, loadMessage, async (req, res) => {
+  try {
+    const { email, id } = req.params;
+
+    const source = await attachmentStore.getRaw(email, req.message);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Source not found',
+        message: 'The original source of this message is not available'
+      });
+    }
+
+    res.json({
+      success: true,
+      id,
+      headers: parseHeaders(source)
+    });
+
+  } catch (error) {
+    console.error('Error fetching message headers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch message headers'
+    });
+  }
+});
+
+// Download a single attachment
+app.get('/api/emails/:email/messages/:id/attachments/:attachmentId', validateEmail, loadMailbox, requireMailboxAccess, loadMessage, async (req, res) => {
+  try {
+    const { email, id, attachmentId } = req.params;
+
+    const attachment = req.message.attachments?.find(item => item.id === attachmentId);
+    const content = attachment ? await attachmentStore.get(email, req.message, attachmentId) : null;
+
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found',
+        message: 'The requested attachment does not exist or has expired'
+      });
+    }
+
+    res.attachment(attachment.filename);
+    res.type(attachment.contentType);
+    res.send(content);
+
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch attachment'
+    });
+  }
+});
+
+// Fetch a remote image on behalf of the reader, so senders never see the
+// reader's address. Only URLs signed when the message was stored are served.
+app.get('/api/proxy/image', async (req, res) => {
+  const { u: url, sig } = req.query;
+
+  if (typeof url !== 'string' || typeof sig !== 'string' || !url || !sig) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid image request',
+      message: 'Both the u and sig parameters are required.'
+    });
+  }
+
+  if (!verifyImageSignature(url, sig)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid signature',
+      message: 'This image URL was not signed by this server.'
+    });
+  }
+
+  try {
+    const image = await fetchImage(url);
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Content-Security-Policy': "default-src 'none'",
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'Cache-Control': `public, max-age=${config.imageProxy.cacheSeconds}`
+    });
+    res.send(image.content);
+
+  } catch (error) {
+    const status = error.status || (error.name === 'TimeoutError' ? 504 : 502);
+    if (!error.status) {
+      console.error(`Error proxying image ${url}:`, error.message);
+    }
+
+    res.status(status).json({
+      success: false,
+      error: 'Image unavailable',
+      message: error.status ? error.message : 'Failed to fetch image'
     });
   }
 });
 
 // Delete email address
-app.delete('/api/emails/:email', validateEmail, async (req, res) => {
+app.delete('/api/emails/:email', validateEmail, loadMailbox, requireMailboxOwner, async (req, res) => {
   try {
     const { email } = req.params;
 
-    const deleted = await redisClient.del(`email:${email}`);
+    const messages = await mailboxStore.getMessages(email);
+    const deleted = await mailboxStore.remove(email);
+
+    if (deleted) {
+      await attachmentStore.removeAll(email, messages);
+    }
     
     if (deleted) {
       console.log(`🗑️ Email deleted: ${email}`);
+      await mailboxEvents.publish(email, 'email-expired', { email });
       res.json({
         success: true,
         message: 'Email address deleted successfully'
@@ -227,32 +1001,24 @@ app.delete('/api/emails/:email', validateEmail, async (req, res) => {
   }
 });
 
-// Statistics endpoint
-app.get('/api/stats', async (req, res) => {
+// Statistics endpoint (admin)
+app.get('/api/stats', requireAdmin, async (req, res) => {
   try {
-    const keys = await redisClient.keys('email:*');
-    const activeEmails = keys.length;
-    
-    let totalEmails = 0;
-    for (const key of keys) {
-      const data = await redisClient.get(key);
-      if (data) {
-        const emailData = JSON.parse(data);
-        totalEmails += emailData.emails.length;
-      }
-    }
+    const { activeMailboxes, totalReceived } = await mailboxStore.stats();
+    const sweeper = await expirySweeper.metrics();
 
     res.json({
       success: true,
       stats: {
-        activeEmails,
-        totalEmailsReceived: totalEmails,
+        activeEmails: activeMailboxes,
+        totalEmailsReceived: totalReceived,
         service: 'ShortTermEmail',
         version: '1.0.0',
         uptime: process.uptime(),
         timestamp: new Date().toISOString(),
         memory: process.memoryUsage(),
-        domains: config.email.allowedDomains
+        domains: domainRegistry.enabled(),
+        sweeper
       }
     });
 
@@ -267,21 +1033,9 @@ app.get('/api/stats', async (req, res) => {
 });
 
 // Cleanup expired emails endpoint (admin)
-app.post('/api/cleanup', async (req, res) => {
+app.post('/api/cleanup', requireAdmin, async (req, res) => {
   try {
-    const keys = await redisClient.keys('email:*');
-    let cleanedCount = 0;
-
-    for (const key of keys) {
-      const data = await redisClient.get(key);
-      if (data) {
-        const emailData = JSON.parse(data);
-        if (Date.now() > emailData.expires) {
-          await redisClient.del(key);
-          cleanedCount++;
-        }
-      }
-    }
+    const { expired: cleanedCount } = await expirySweeper.sweep();
 
     console.log(`🧹 Cleaned up ${cleanedCount} expired emails`);
     
@@ -301,20 +1055,45 @@ app.post('/api/cleanup', async (req, res) => {
   }
 });
 
+// Admin endpoints
+app.use('/api/admin', adminRoutes);
+
 // Socket.io for real-time updates
 io.on('connection', (socket) => {
   console.log(`🔌 User connected: ${socket.id}`);
 
-  socket.on('subscribe', (email) => {
-    if (email && typeof email === 'string' && email.includes('@')) {
+  socket.on('subscribe', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { email: address, token } = typeof payload === 'string' ? { email: payload } : payload || {};
+
+    if (!address || typeof address !== 'string' || !address.includes('@')) {
+      return respond({ success: false, error: 'Invalid email address' });
+    }
+
+    // Rooms are named after the stored, lowercased address
+    const email = address.toLowerCase();
+
+    try {
+      const mailbox = await mailboxStore.get(email);
+
+      // Mailboxes created before access tokens existed stay open until they expire
+      if (!mailbox || (mailbox.tokenHash && !verifyMailboxToken(mailbox, token))) {
+        console.log(`🚫 User ${socket.id} denied subscription to ${email}`);
+        return respond({ success: false, error: 'Invalid access token' });
+      }
+
       socket.join(email);
       console.log(`📨 User ${socket.id} subscribed to ${email}`);
+      respond({ success: true });
+    } catch (error) {
+      console.error('Error subscribing to email:', error);
+      respond({ success: false, error: 'Internal server error' });
     }
   });
 
   socket.on('unsubscribe', (email) => {
     if (email && typeof email === 'string') {
-      socket.leave(email);
+      socket.leave(email.toLowerCase());
       console.log(`📭 User ${socket.id} unsubscribed from ${email}`);
     }
   });
@@ -324,7 +1103,6 @@ io.on('connection', (socket) => {
   });
 });
 
-// Export io for use in SMTP server
 app.set('io', io);
 
 // Error handling middleware
@@ -356,11 +1134,21 @@ server.listen(PORT, () => {
   console.log(`📧 SMTP: mail.${config.server.domain}:25`);
   console.log(`⚡ Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📊 Redis: ${config.redis.host}:${config.redis.port}`);
+
+  setupSocketAdapter().catch(error => {
+    console.error('💥 Failed to set up the Socket.io Redis adapter:', error);
+  });
+  domainRegistry.init().catch(error => {
+    console.error('Error loading domains:', error);
+  });
+  expirySweeper.start(io);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('🛑 Received SIGTERM, shutting down gracefully...');
+  expirySweeper.stop();
+  await Promise.all(adapterClients.map(client => client.quit().catch(() => null)));
   await redisClient.quit();
   server.close(() => {
     console.log('✅ Server shut down successfully');
@@ -370,6 +1158,8 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('🛑 Received SIGINT, shutting down gracefully...');
+  expirySweeper.stop();
+  await Promise.all(adapterClients.map(client => client.quit().catch(() => null)));
   await redisClient.quit();
   server.close(() => {
     console.log('✅ Server shut down successfully');
@@ -1,30 +1,124 @@
-import SMTPServer from 'smtp-server';
+import { readFileSync, watchFile } from 'fs';
+import { SMTPServer } from 'smtp-server';
+import { Emitter } from '@socket.io/redis-emitter';
 import redisClient from './config/redis.js';
-import { sanitizeEmailContent } from './middleware/validation.js';
+import { parseEmail, parseHeaders } from './utils/mailParser.js';
+import { verifyAuthentication } from './utils/mailAuth.js';
+import { sanitizeEmailHtml } from './utils/htmlSanitizer.js';
+import { applyImagePolicy } from './utils/imageProxy.js';
+import { extractFromEmail } from './utils/codeExtractor.js';
+import inboundFilter from './utils/inboundFilter.js';
+import webhookDispatcher from './utils/webhookDispatcher.js';
+import mailboxEvents from './utils/mailboxEvents.js';
+import attachmentStore from './utils/attachmentStore.js';
+import mailboxStore from './utils/mailboxStore.js';
+import domainRegistry from './utils/domainRegistry.js';
 import config from './config/config.js';
-import { io } from './server.js';
 
 class ShortTermSMTPServer {
   constructor() {
     this.server = null;
+    this.secureServer = null;
+    this.tlsOptions = null;
+    this.emitter = null;
     this.init();
   }
 
   init() {
-    this.server = new SMTPServer({
-      disabledCommands: ['AUTH', 'STARTTLS'],
-      secure: false,
+    this.tlsOptions = this.loadCertificates();
+
+    this.server = this.createServer(false);
+
+    if (config.smtp.secure) {
+      if (this.tlsOptions) {
+        this.secureServer = this.createServer(true);
+      } else {
+        console.warn('⚠️  Warning: SMTP_SECURE is set but no certificate could be loaded, implicit TLS is disabled');
+      }
+    }
+  }
+
+  createServer(secure) {
+    const startTls = Boolean(this.tlsOptions) && config.smtp.startTls;
+
+    const server = new SMTPServer({
+      ...this.tlsOptions,
+      disabledCommands: startTls ? ['AUTH'] : ['AUTH', 'STARTTLS'],
+      secure,
       logger: false,
-      hideSTARTTLS: true,
+      hideSTARTTLS: !startTls,
       allowInsecureAuth: true,
       size: config.email.maxEmailSize,
+      onConnect: this.onConnect.bind(this),
       onAuth: this.onAuth.bind(this),
+      onSecure: this.onSecure.bind(this),
       onMailFrom: this.onMailFrom.bind(this),
       onRcptTo: this.onRcptTo.bind(this),
       onData: this.onData.bind(this)
     });
 
-    this.setupEventHandlers();
+    this.setupEventHandlers(server);
+    return server;
+  }
+
+  // Read the certificate and key, or return null to accept plaintext only
+  loadCertificates() {
+    const { certPath, keyPath } = config.smtp.tls;
+    if (!certPath || !keyPath) return null;
+
+    try {
+      return {
+        cert: readFileSync(certPath),
+        key: readFileSync(keyPath)
+      };
+    } catch (error) {
+      console.warn(`⚠️  Warning: Could not load SSL certificate (${error.message}), SMTP will accept plaintext only`);
+      return null;
+    }
+  }
+
+  // Pick up renewed certificates without restarting. New connections use
+  // the new certificate, open ones keep the old one.
+  watchCertificates() {
+    if (!this.tlsOptions) return;
+
+    const { certPath, keyPath, reloadInterval } = config.smtp.tls;
+    const reload = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+
+      const tlsOptions = this.loadCertificates();
+      if (!tlsOptions) return;
+
+      try {
+        for (const server of [this.server, this.secureServer].filter(Boolean)) {
+          server.updateSecureContext(tlsOptions);
+        }
+        this.tlsOptions = tlsOptions;
+        console.log('🔐 SMTP TLS certificate reloaded');
+      } catch (error) {
+        console.error('Error reloading SMTP TLS certificate:', error);
+      }
+    };
+
+    for (const path of new Set([certPath, keyPath])) {
+      watchFile(path, { interval: reloadInterval, persistent: false }, reload);
+    }
+  }
+
+  // Refuse blocked, DNSBL-listed and over-limit clients before the greeting
+  async onConnect(session, callback) {
+    try {
+      const rejected = await inboundFilter.checkConnection(session);
+
+      if (rejected) {
+        console.log(`🚫 Refused connection from ${session.remoteAddress}: ${rejected.message}`);
+      }
+
+      callback(rejected);
+    } catch (error) {
+      console.error('Error checking connection:', error);
+      callback();
+    }
   }
 
   onAuth(auth, session, callback) {
@@ -32,65 +126,192 @@ class ShortTermSMTPServer {
     callback(null, { user: 'anonymous' });
   }
 
-  onMailFrom(address, session, callback) {
-    // Accept mail from any address
+  // Remember the negotiated protocol so it can be stored with each message
+  onSecure(socket, session, callback) {
+    session.tls = {
+      protocol: socket.getProtocol(),
+      cipher: socket.getCipher()?.name || null
+    };
     callback();
   }
 
-  onRcptTo(address, session, callback) {
+  async onMailFrom(address, session, callback) {
+    try {
+      const rejected = await inboundFilter.checkSender(address.address, session);
+
+      if (rejected) {
+        console.log(`🚫 Refused sender ${address.address || '<>'}: ${rejected.message}`);
+      }
+
+      callback(rejected);
+    } catch (error) {
+      console.error('Error checking sender:', error);
+      callback();
+    }
+  }
+
+  async onRcptTo(address, session, callback) {
     const toEmail = address.address.toLowerCase();
+
+    // Each copy is stored and pushed separately, so cap the fan-out. Senders
+    // retry the deferred recipients in another transaction.
+    if (session.envelope.rcptTo.length >= config.smtp.maxRecipients) {
+      const error = new Error('4.5.3 Too many recipients');
+      error.responseCode = 452;
+      return callback(error);
+    }
     
     // Check if this is one of our valid domains
-    const isValidDomain = config.email.allowedDomains.some(domain => 
-      toEmail.endsWith(domain)
-    );
-
-    if (!isValidDomain) {
+    if (!domainRegistry.isAllowedAddress(toEmail)) {
       return callback(new Error('Not a valid ShortTermEmail domain'));
     }
 
-    callback();
+    // In catch-all mode unknown addresses get a mailbox on first delivery
+    if (config.smtp.catchAll) {
+      return callback();
+    }
+
+    try {
+      const mailbox = await mailboxStore.get(toEmail);
+
+      if (!mailbox || Date.now() > mailbox.expires) {
+        const error = new Error(`5.1.1 <${toEmail}>: Recipient address rejected: mailbox does not exist or has expired`);
+        error.responseCode = 550;
+        return callback(error);
+      }
+
+      callback();
+    } catch (error) {
+      console.error('Error looking up recipient:', error);
+      const lookupError = new Error('4.3.0 Temporary lookup failure, please try again later');
+      lookupError.responseCode = 451;
+      callback(lookupError);
+    }
   }
 
   async onData(stream, session, callback) {
-    let emailData = '';
+    const chunks = [];
     const email = {
-      id: this.generateId(),
       from: session.envelope.mailFrom?.address || 'unknown@unknown.com',
-      to: session.envelope.rcptTo[0]?.address,
+      fromName: '',
+      cc: [],
+      replyTo: [],
       subject: 'No Subject',
       body: '',
       html: null,
+      date: null,
+      messageId: null,
+      attachments: [],
+      hasRaw: false,
+      tls: session.tls || null,
+      authentication: null,
+      spam: null,
+      extracted: null,
       timestamp: new Date().toISOString(),
       read: false,
       size: 0
     };
 
     stream.on('data', (chunk) => {
-      emailData += chunk.toString();
+      chunks.push(chunk);
     });
 
     stream.on('end', async () => {
+      // Enforce the advertised SIZE limit rather than storing a truncated copy
+      if (stream.sizeExceeded) {
+        const error = new Error(`Message exceeds fixed maximum message size of ${config.email.maxEmailSize} bytes`);
+        error.responseCode = 552;
+        return callback(error);
+      }
+
       try {
-        email.size = Buffer.byteLength(emailData, 'utf8');
+        const source = Buffer.concat(chunks);
+        email.size = source.length;
         
         // Parse email content
-        this.parseEmailContent(emailData, email);
-        
-        // Sanitize content for security
-        email.subject = sanitizeEmailContent(email.subject);
-        email.body = sanitizeEmailContent(email.body);
-        if (email.html) {
-          email.html = sanitizeEmailContent(email.html);
+        const parsed = await this.parseEmailContent(source, email);
+
+        if (config.authentication.enabled) {
+          email.authentication = await verifyAuthentication(source, {
+            ip: session.remoteAddress,
+            helo: session.hostNameAppearsAs,
+            sender: session.envelope.mailFrom?.address || ''
+          });
         }
+
+        email.spam = inboundFilter.scoreMessage(email, session);
+
+        // Without a text part the body is the text derived from the HTML, or
+        // a placeholder. Filled in after scoring, which counts a missing text
+        // part against the message.
+        if (!email.body) {
+          email.body = parsed.text.trim() || 'No content';
+        }
+
+        // Pull out one-time codes and links while the HTML is still unsanitized
+        email.extracted = extractFromEmail(email, parseHeaders(source));
         
-        // Store in Redis
-        await this.storeEmail(email);
+        // The subject, names and plain-text body are stored as received so
+        // filters and search match what the sender wrote. Clients escape them
+        // when rendering, the HTML part is sanitized for each copy below.
         
-        console.log(`📩 New email received for: ${email.to}`);
-        console.log(`   From: ${email.from}`);
-        console.log(`   Subject: ${email.subject}`);
-        console.log(`   Size: ${email.size} bytes`);
+        // Every recipient gets its own copy of the message, but the raw
+        // source and attachment bodies are stored once and shared
+        const recipients = [...new Set(session.envelope.rcptTo.map(rcpt => rcpt.address.toLowerCase()))];
+        const deliveries = [];
+
+        for (const recipient of recipients) {
+          const mailbox = await this.findMailbox(recipient);
+
+          if (!mailbox) {
+            console.log(`📭 Dropped email for ${recipient}: mailbox no longer exists`);
+            continue;
+          }
+
+          deliveries.push({ id: this.generateId(), address: recipient, expires: mailbox.expires });
+        }
+
+        if (deliveries.length > 0) {
+          email.blobId = this.generateId();
+          const saved = await attachmentStore.saveShared(email.blobId, deliveries, source, parsed.attachments);
+          email.hasRaw = saved.hasRaw;
+          email.attachments = saved.attachments.map(({ content, ...metadata }) => metadata);
+        }
+
+        for (const delivery of deliveries) {
+          const copy = {
+            id: delivery.id,
+            ...structuredClone(email),
+            to: delivery.address
+          };
+          // cid: images point at this copy's attachments
+          const { html, images } = sanitizeEmailHtml(email.html, {
+            address: delivery.address,
+            messageId: copy.id,
+            attachments: parsed.attachments
+          });
+          copy.html = html;
+          copy.images = images;
+
+          // Store in Redis
+          const stored = await this.storeEmail(copy);
+          
+          if (!stored) {
+            console.log(`📭 Dropped email for ${delivery.address}: mailbox no longer exists`);
+            continue;
+          }
+
+          console.log(`📩 New email received for: ${copy.to}`);
+          console.log(`   From: ${copy.from}`);
+          console.log(`   Subject: ${copy.subject}`);
+          console.log(`   Size: ${copy.size} bytes`);
+          if (copy.attachments.length > 0) {
+            console.log(`   Attachments: ${copy.attachments.length}`);
+          }
+          if (copy.spam?.isSpam) {
+            console.log(`   Spam score: ${copy.spam.score}`);
+          }
+        }
         
         callback();
       } catch (error) {
@@ -105,161 +326,146 @@ class ShortTermSMTPServer {
     });
   }
 
-  parseEmailContent(emailData, email) {
-    const lines = emailData.split('\n');
-    let inHeaders = true;
-    let inBody = false;
-    let bodyLines = [];
-    let currentPart = '';
-    let isMultipart = false;
-    let boundary = '';
-    let contentType = 'text/plain';
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-
-      if (inHeaders) {
-        if (line === '') {
-          inHeaders = false;
-          inBody = true;
-          continue;
-        }
+  async parseEmailContent(source, email) {
+    const parsed = await parseEmail(source);
 
-        if (line.toLowerCase().startsWith('subject:')) {
-          email.subject = line.substring(8).trim();
-        } else if (line.toLowerCase().startsWith('content-type:')) {
-          contentType = line.substring(13).trim();
-          if (contentType.includes('multipart/')) {
-            isMultipart = true;
-            const boundaryMatch = line.match(/boundary="?([^";]+)"?/);
-            if (boundaryMatch) {
-              boundary = boundaryMatch[1];
-            }
-          }
-        }
-      } else if (inBody) {
-        if (isMultipart && boundary) {
-          // Handle multipart content
-          if (line === `--${boundary}`) {
-            if (currentPart) {
-              this.processMultipartPart(currentPart, email);
-              currentPart = '';
-            }
-          } else if (line === `--${boundary}--`) {
-            if (currentPart) {
-              this.processMultipartPart(currentPart, email);
-            }
-            break;
-          } else {
-            currentPart += line + '\n';
-          }
-        } else {
-          // Simple email body
-          if (!line.startsWith('--') && !line.startsWith('Content-')) {
-            bodyLines.push(line);
-          }
-        }
-      }
+    if (parsed.subject) {
+      email.subject = parsed.subject;
     }
 
-    // Process remaining body content
-    if (bodyLines.length > 0 && !email.body) {
-      email.body = bodyLines.join('\n').trim();
+    // Prefer the header From over the envelope sender when present
+    if (parsed.from) {
+      email.from = parsed.from;
+      email.fromName = parsed.fromName;
     }
 
-    // Ensure we have at least some body content
-    if (!email.body || email.body === '') {
-      email.body = 'No content';
-    }
+    email.cc = parsed.cc;
+    email.replyTo = parsed.replyTo;
+    email.date = parsed.date;
+    email.messageId = parsed.messageId;
+    email.body = parsed.hasText ? parsed.text.trim() : '';
+    email.html = parsed.html;
+
+    // Attachment bodies are stored separately and the text derived from the
+    // HTML is used after scoring, so hand the parsed message back to the caller
+    return parsed;
   }
 
-  processMultipartPart(part, email) {
-    const partLines = part.split('\n');
-    let inHeaders = true;
-    let partBody = [];
-    let contentType = 'text/plain';
-    let charset = 'utf-8';
-
-    for (const line of partLines) {
-      if (inHeaders) {
-        if (line.trim() === '') {
-          inHeaders = false;
-          continue;
-        }
-        if (line.toLowerCase().startsWith('content-type:')) {
-          contentType = line.substring(13).trim();
-          const charsetMatch = contentType.match(/charset="?([^";]+)"?/);
-          if (charsetMatch) {
-            charset = charsetMatch[1];
-          }
-        }
-      } else {
-        partBody.push(line);
-      }
+  // Catch-all mailboxes have no owner token, so anyone can read them
+  async createCatchAllMailbox(address) {
+    const now = Date.now();
+    const created = await mailboxStore.create({
+      email: address,
+      created: now,
+      expires: now + (config.email.emailExpiryHours * 60 * 60 * 1000),
+      catchAll: true,
+      language: 'en'
+    });
+
+    if (created) {
+      console.log(`📬 Catch-all mailbox created: ${address}`);
     }
 
-    const bodyContent = partBody.join('\n').trim();
-    
-    if (contentType.includes('text/html')) {
-      email.html = bodyContent;
-    } else if (contentType.includes('text/plain') && !email.body) {
-      email.body = bodyContent;
+    return mailboxStore.get(address);
+  }
+
+  // The recipient's mailbox, created first for catch-all addresses. Returns
+  // null if there is no mailbox.
+  async findMailbox(address) {
+    const mailbox = await mailboxStore.get(address);
+
+    if (!mailbox && config.smtp.catchAll) {
+      return this.createCatchAllMailbox(address);
     }
+
+    return mailbox;
   }
 
+  // Store a copy of a message for its recipient once its blobs are saved.
+  // Returns false if the mailbox expired in the meantime.
   async storeEmail(email) {
-    const key = `email:${email.to}`;
-    const existingData = await redisClient.get(key);
+    // Append atomically, trimming the oldest emails past the limit
+    const evicted = await mailboxStore.appendMessage(email.to, email);
+
+    if (evicted === null) {
+      // The mailbox expired while the message was being stored
+      await attachmentStore.removeAll(email.to, [email]);
+      return false;
+    }
+
+    await attachmentStore.removeAll(email.to, evicted);
+    await mailboxStore.recordDelivery();
+
+    // Pushed copies have remote images blocked like the API does by default.
+    // API workers get the stored message and apply the reader's choice.
+    const { blobId, ...message } = email;
+    const notification = {
+      ...message,
+      html: applyImagePolicy(email.html, false),
+      images: { ...email.images, blocked: true }
+    };
     
-    if (existingData) {
-      const emailData = JSON.parse(existingData);
-      
-      // Limit number of stored emails
-      if (emailData.emails.length >= config.email.maxEmailsPerAddress) {
-        emailData.emails.shift(); // Remove oldest email
-      }
-      
-      emailData.emails.push(email);
-      await redisClient.setEx(key, config.redis.ttl, JSON.stringify(emailData));
-      
-      // Notify connected clients via Socket.io
-      if (io) {
-        io.to(email.to).emit('new-email', email);
-      }
+    // Notify Socket.io clients on every API worker through the Redis adapter
+    if (this.emitter) {
+      this.emitter.to(email.to).emit('new-email', notification);
     }
+
+    // Wake up API workers waiting for this mailbox
+    await mailboxEvents.publish(email.to, 'new-email', email);
+
+    // Notify registered webhooks
+    await webhookDispatcher.enqueue(email.to, notification);
+
+    return true;
   }
 
   generateId() {
     return Math.random().toString(36).substring(2) + Date.now().toString(36);
   }
 
-  setupEventHandlers() {
-    this.server.on('error', (err) => {
+  setupEventHandlers(server) {
+    server.on('error', (err) => {
       console.error('❌ SMTP Server Error:', err);
     });
 
-    this.server.on('close', () => {
+    server.on('close', () => {
       console.log('🛑 SMTP Server closed');
     });
   }
 
-  start() {
+  async start() {
     const PORT = config.smtp.port;
     const HOST = config.smtp.host;
 
+    await domainRegistry.init();
+    this.emitter = new Emitter(await redisClient.duplicate());
+
     this.server.listen(PORT, HOST, () => {
       console.log('📧 ShortTermEmail SMTP Server Started');
       console.log(`📍 Host: ${HOST}:${PORT}`);
+      console.log(`🔐 STARTTLS: ${this.tlsOptions && config.smtp.startTls ? 'enabled' : 'disabled'}`);
       console.log(`✅ Ready to receive emails for domains:`);
-      config.email.allowedDomains.forEach(domain => {
+      domainRegistry.enabled().forEach(domain => {
         console.log(`   - @${domain}`);
       });
     });
+
+    if (this.secureServer) {
+      this.secureServer.listen(config.smtp.securePort, HOST, () => {
+        console.log(`🔐 Implicit TLS listening on ${HOST}:${config.smtp.securePort}`);
+      });
+    }
+
+    this.watchCertificates();
+    webhookDispatcher.start();
   }
 }
 
 // Start SMTP server
 const smtpServer = new ShortTermSMTPServer();
-smtpServer.start();
+smtpServer.start().catch(error => {
+  console.error('💥 Failed to start SMTP server:', error);
+  process.exit(1);
+});
 
 export default smtpServer;
\ No newline at end of file
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractCodes, extractFromEmail } from '../utils/codeExtractor.js';
+
+const codesIn = (text) => extractCodes(text).map(candidate => candidate.code);
+
+test('accepts codes followed by sentence punctuation', () => {
+  assert.deepEqual(codesIn('Your code is 482913.'), ['482913']);
+  assert.deepEqual(codesIn('Your verification code: 482913.'), ['482913']);
+  assert.deepEqual(codesIn('Your OTP is 4829.'), ['4829']);
+  assert.deepEqual(codesIn('Your code is 482913, it expires soon'), ['482913']);
+  assert.deepEqual(codesIn('code:482913'), ['482913']);
+});
+
+test('accepts Arabic-Indic digits followed by punctuation', () => {
+  assert.deepEqual(codesIn('رمز التحقق هو ٤٨٢٩١٣.'), ['482913']);
+});
+
+test('ignores prices, dates and times', () => {
+  assert.deepEqual(codesIn('Your code costs 1500.00 and was sent at 12:30:45 on 2024-05-01'), []);
+});
+
+test('ranks a code below its keyword line over a number followed by a keyword', () => {
+  const text = 'Total due: 1500 on 2024-05-01. Your code is below\n\n123 456';
+  assert.equal(extractCodes(text)[0].code, '123456');
+  assert.equal(extractFromEmail({ subject: 'Your receipt', body: text }).codes[0].code, '123456');
+});
+
+test('ranks the code nearest its keyword first', () => {
+  assert.deepEqual(codesIn('Your code is 482913 and expires at 1500 GMT'), ['482913', '1500']);
+});
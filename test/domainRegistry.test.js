@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import domainRegistry from '../utils/domainRegistry.js';
+
+// Replace the registry contents without touching Redis
+function useDomains(records) {
+  domainRegistry.domains = new Map(records.map(([domain, enabled]) => [
+    domain,
+    { ...domainRegistry.record(domain, 'admin'), enabled }
+  ]));
+}
+
+test('keeps addresses on a disabled domain known but not allowed', () => {
+  useDomains([['shorttermemail.com', true], ['old.example', false]]);
+
+  assert.equal(domainRegistry.isAllowedAddress('x@old.example'), false);
+  assert.equal(domainRegistry.isKnownAddress('x@old.example'), true);
+  assert.equal(domainRegistry.isKnownAddress('x@unknown.example'), false);
+});
+
+test('rejects look-alike domains', () => {
+  useDomains([['shorttermemail.com', true]]);
+
+  assert.equal(domainRegistry.isAllowedAddress('x@evilshorttermemail.com'), false);
+  assert.equal(domainRegistry.isAllowedAddress('x@shorttermemail.com.evil.io'), false);
+  assert.equal(domainRegistry.isAllowedAddress('x@shorttermemail.com'), true);
+  assert.equal(domainRegistry.isAllowedAddress('x@inbox.shorttermemail.com'), true);
+});
+
+test('prefers the most specific registered subdomain', () => {
+  useDomains([['shorttermemail.com', true], ['mail.shorttermemail.com', false]]);
+
+  assert.equal(domainRegistry.match('a.mail.shorttermemail.com').domain, 'mail.shorttermemail.com');
+  assert.equal(domainRegistry.match('inbox.shorttermemail.com').domain, 'shorttermemail.com');
+  assert.equal(domainRegistry.isAllowedAddress('x@a.mail.shorttermemail.com'), false);
+  assert.equal(domainRegistry.match('com'), null);
+});
@@ -0,0 +1,92 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'crypto';
+import { dkimSign } from 'mailauth';
+import { setResolver, verifyAuthentication } from '../utils/mailAuth.js';
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'der' }
+});
+const dkimKey = publicKey.toString('base64');
+
+// TXT records by name, answered in 255 character strings like DNS does
+const records = {
+  'example.com': ['v=spf1 ip4:192.0.2.1 -all'],
+  'test._domainkey.example.com': [`v=DKIM1; k=rsa; p=${dkimKey}`],
+  '_dmarc.example.com': ['v=DMARC1; p=reject']
+};
+
+setResolver(async (name, rrtype) => {
+  const record = rrtype === 'TXT' && records[name.toLowerCase()];
+  if (!record) {
+    const error = new Error(`queryTxt ENOTFOUND ${name}`);
+    error.code = 'ENOTFOUND';
+    throw error;
+  }
+  return record.map(value => value.match(/.{1,255}/g));
+});
+
+after(() => setResolver(null));
+
+function message(from) {
+  return Buffer.from([
+    `From: Sender <${from}>`,
+    'To: someone@shorttermemail.com',
+    'Subject: Hello',
+    'Message-ID: <1@example.com>',
+    'Date: Mon, 19 Oct 2026 10:00:00 +0000',
+    '',
+    'Hello there',
+    ''
+  ].join('\r\n'));
+}
+
+async function signed(source) {
+  const { signatures } = await dkimSign(source, {
+    canonicalization: 'relaxed/relaxed',
+    signatureData: [{ signingDomain: 'example.com', selector: 'test', privateKey }]
+  });
+  return Buffer.concat([Buffer.from(signatures), source]);
+}
+
+test('passes a signed message from an authorized client', async () => {
+  const result = await verifyAuthentication(await signed(message('a@example.com')), {
+    ip: '192.0.2.1',
+    helo: 'mx.example.com',
+    sender: 'a@example.com'
+  });
+
+  assert.equal(result.spf.result, 'pass');
+  assert.equal(result.dkim.result, 'pass');
+  assert.deepEqual(result.dkim.signatures.map(({ domain, selector }) => [domain, selector]), [['example.com', 'test']]);
+  assert.equal(result.dmarc.result, 'pass');
+  assert.equal(result.dmarc.policy, 'reject');
+});
+
+test('fails a tampered message from an unauthorized client', async () => {
+  const source = Buffer.from((await signed(message('a@example.com'))).toString().replace('Hello there', 'Pay now'));
+  const result = await verifyAuthentication(source, {
+    ip: '198.51.100.7',
+    helo: 'mx.elsewhere.test',
+    sender: 'a@example.com'
+  });
+
+  assert.equal(result.spf.result, 'fail');
+  assert.equal(result.dkim.result, 'neutral');
+  assert.equal(result.dmarc.result, 'fail');
+});
+
+test('reports none for a domain without records', async () => {
+  const result = await verifyAuthentication(message('a@unknown.test'), {
+    ip: '192.0.2.1',
+    helo: 'mx.unknown.test',
+    sender: 'a@unknown.test'
+  });
+
+  assert.equal(result.spf.result, 'none');
+  assert.equal(result.dkim.result, 'none');
+  assert.deepEqual(result.dkim.signatures, []);
+  assert.equal(result.dmarc.result, 'none');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShareToken, generateAccessToken, hashToken, verifyMailboxToken } from '../utils/mailboxTokens.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function mailbox(token = generateAccessToken()) {
+  return { email: 'tokens@shorttermemail.com', created: Date.now(), tokenHash: hashToken(token) };
+}
+
+test('tells owner tokens and share tokens apart', () => {
+  const token = generateAccessToken();
+  const owned = mailbox(token);
+  const share = createShareToken(owned, Date.now() + HOUR);
+
+  assert.equal(verifyMailboxToken(owned, token), 'owner');
+  assert.equal(verifyMailboxToken(owned, share), 'shared');
+  assert.equal(verifyMailboxToken(owned, generateAccessToken()), null);
+  assert.equal(verifyMailboxToken(owned, hashToken(token)), null);
+  assert.equal(verifyMailboxToken(owned, undefined), null);
+});
+
+test('never accepts an owner token for a mailbox without one', () => {
+  const catchAll = { email: 'tokens@shorttermemail.com', created: Date.now() };
+
+  assert.equal(verifyMailboxToken(catchAll, generateAccessToken()), null);
+  assert.equal(verifyMailboxToken(catchAll, createShareToken(catchAll, Date.now() + HOUR)), 'shared');
+});
+
+test('rejects expired share tokens', () => {
+  const owned = mailbox();
+
+  assert.equal(verifyMailboxToken(owned, createShareToken(owned, Date.now() - 1)), null);
+});
+
+test('rejects share tokens with a tampered signature or expiry', () => {
+  const owned = mailbox();
+  const expires = Date.now() + HOUR;
+  const [prefix, , signature] = createShareToken(owned, expires).split('.');
+  const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+  assert.equal(verifyMailboxToken(owned, `${prefix}.${expires}.${flipped}`), null);
+  assert.equal(verifyMailboxToken(owned, `${prefix}.${expires + HOUR}.${signature}`), null);
+  assert.equal(verifyMailboxToken(owned, `${prefix}.${expires}.`), null);
+});
+
+test('rejects share tokens of an earlier mailbox on the same address', () => {
+  const previous = mailbox();
+  const share = createShareToken(previous, Date.now() + HOUR);
+
+  assert.equal(verifyMailboxToken({ ...previous, created: previous.created + 1 }, share), null);
+});
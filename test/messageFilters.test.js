@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileSubjectFilter, compileSubjectPattern } from '../utils/messageFilters.js';
+
+test('matches subjects by case-insensitive substring', () => {
+  const filter = compileSubjectFilter('Verify');
+  assert.equal(filter.test('Please verify your email'), true);
+  assert.equal(filter.test('Welcome'), false);
+});
+
+test('matches subjects by regular expression when wrapped in slashes', () => {
+  const filter = compileSubjectFilter('/^order \\d+/');
+  assert.equal(filter.test('Order 123 shipped'), true);
+  assert.equal(filter.test('Your order 123'), false);
+  assert.equal(compileSubjectFilter('/(/'), null);
+});
+
+test('treats regular expression syntax as text without slashes', () => {
+  assert.equal(compileSubjectFilter('(a+)+$').test('aaaaaaaaaaaaaaaaaaaaaaaaaa!'), false);
+  assert.equal(compileSubjectFilter('(a+)+$').test('Re: (a+)+$'), true);
+});
+
+test('rejects empty and overlong filters', () => {
+  assert.equal(compileSubjectFilter(''), null);
+  assert.equal(compileSubjectFilter('x'.repeat(201)), null);
+  assert.equal(compileSubjectFilter(['a']), null);
+});
+
+test('matches subject patterns as case-insensitive regular expressions', () => {
+  const pattern = compileSubjectPattern('code \\d+');
+  assert.equal(pattern.test('Your CODE 123'), true);
+  assert.equal(pattern.test('Your code'), false);
+});
+
+test('matches backtracking-prone patterns in linear time', () => {
+  const started = Date.now();
+  assert.equal(compileSubjectPattern('(a+)+$').test(`${'a'.repeat(5000)}!`), false);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('rejects invalid and overlong subject patterns', () => {
+  assert.equal(compileSubjectPattern('('), null);
+  assert.equal(compileSubjectPattern(''), null);
+  assert.equal(compileSubjectPattern('a'.repeat(201)), null);
+});
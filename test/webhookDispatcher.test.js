@@ -0,0 +1,164 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { createServer } from 'http';
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+import mailboxStore from '../utils/mailboxStore.js';
+import webhookDispatcher from '../utils/webhookDispatcher.js';
+
+const ADDRESS = 'hooks@shorttermemail.com';
+const SECRET = 'webhook-test-secret';
+
+// In-memory stand-ins for the Redis calls the dispatcher and webhook store make
+const strings = new Map();
+const sortedSets = new Map();
+const hashes = new Map();
+const lists = new Map();
+
+const entry = (map, key, create) => {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+};
+
+Object.assign(redisClient, {
+  async get(key) { return strings.get(key) ?? null; },
+  async setEx(key, seconds, value) { strings.set(key, value); return true; },
+  async del(key) { return [strings, sortedSets, hashes, lists].some(map => map.delete(key)); },
+  async expire() { return true; },
+  async zAdd(key, score, member) { entry(sortedSets, key, () => new Map()).set(member, score); return 1; },
+  async zRem(key, member) { return sortedSets.get(key)?.delete(member) ?? false; },
+  async zRangeByScore(key, min, max, limit) {
+    return [...(sortedSets.get(key) || [])]
+      .filter(([, score]) => score <= max)
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, limit)
+      .map(([member]) => member);
+  },
+  async hGet(key, field) { return hashes.get(key)?.get(field) ?? null; },
+  async hGetAll(key) { return Object.fromEntries(hashes.get(key) || []); },
+  async lPush(key, value) { return entry(lists, key, () => []).unshift(value); },
+  async lTrim(key, start, stop) { lists.set(key, entry(lists, key, () => []).slice(start, stop + 1)); return true; },
+  async lRange(key, start, stop) { return (lists.get(key) || []).slice(start, stop === -1 ? undefined : stop + 1); }
+});
+
+// Receiver answering with the queued statuses, then 200
+let receiver;
+let statuses = [];
+const requests = [];
+
+before(async () => {
+  // Redis reconnect and dead-letter logs written while a test reports can
+  // garble the test runner's output
+  mock.method(console, 'log', () => {});
+  Object.assign(config.webhooks, { allowPrivateUrls: true, maxAttempts: 3, retryBaseMs: 1000, retryMaxMs: 1500 });
+
+  receiver = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+  mock.restoreAll();
+  receiver.close();
+});
+
+beforeEach(() => {
+  [strings, sortedSets, hashes, lists].forEach(map => map.clear());
+  statuses = [];
+  requests.length = 0;
+
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  strings.set(mailboxStore.key(ADDRESS), JSON.stringify({ email: ADDRESS, expires: Date.now() + 60 * 60 * 1000 }));
+  hashes.set(mailboxStore.webhooksKey(ADDRESS), new Map([
+    ['hook1', JSON.stringify({ id: 'hook1', url, secret: SECRET, events: ['new-email'], created: Date.now() })]
+  ]));
+});
+
+// Queue a delivery and make its first attempt
+async function deliver() {
+  await webhookDispatcher.enqueue(ADDRESS, { id: 'msg1', subject: 'Hello' });
+  await new Promise(resolve => setImmediate(resolve));
+  while (webhookDispatcher.processing) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// The queued delivery with the time of its next attempt
+function queued() {
+  const [[id, dueAt]] = sortedSets.get('webhooks:queue');
+  return { delivery: JSON.parse(strings.get(webhookDispatcher.deliveryKey(id))), dueAt };
+}
+
+// Make the queued delivery due now and let the dispatcher pick it up
+async function retryNow() {
+  sortedSets.get('webhooks:queue').set(queued().delivery.id, 0);
+  await webhookDispatcher.processDue();
+}
+
+// Recorded delivery attempts, oldest first
+async function history() {
+  const entries = await redisClient.lRange(mailboxStore.deliveriesKey(ADDRESS), 0, -1);
+  return entries.map(item => JSON.parse(item)).reverse();
+}
+
+test('signs the body with the webhook secret', async () => {
+  await deliver();
+
+  assert.equal(requests.length, 1);
+  const { headers, body } = requests[0];
+  const expected = createHmac('sha256', SECRET).update(`${headers['x-shorttermemail-timestamp']}.${body}`).digest('hex');
+
+  assert.equal(headers['x-shorttermemail-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-shorttermemail-event'], 'new-email');
+  assert.deepEqual(JSON.parse(body), { event: 'new-email', email: ADDRESS, message: { id: 'msg1', subject: 'Hello' } });
+  assert.equal(sortedSets.get('webhooks:queue').size, 0);
+});
+
+test('retries failed deliveries with a doubling, capped delay', async () => {
+  statuses = [503, 503];
+  await deliver();
+
+  const { delivery, dueAt } = queued();
+  assert.equal(delivery.attempts, 1);
+  assert.ok(Math.abs(dueAt - Date.now() - 1000) < 200);
+
+  await retryNow();
+  assert.ok(Math.abs(queued().dueAt - Date.now() - 1500) < 200);
+
+  await retryNow();
+  assert.equal(requests.length, 3);
+  assert.equal(sortedSets.get('webhooks:queue').size, 0);
+  assert.equal(strings.has(webhookDispatcher.deliveryKey(delivery.id)), false);
+
+  const attempts = await history();
+  assert.deepEqual(attempts.map(({ attempt, status }) => [attempt, status]), [[1, 'retrying'], [2, 'retrying'], [3, 'delivered']]);
+  assert.equal(attempts[0].error, 'Receiver responded with 503');
+  assert.equal(attempts[2].error, null);
+});
+
+test('dead-letters a delivery after the last attempt', async () => {
+  statuses = [500, 500, 500];
+  await deliver();
+
+  const { delivery } = queued();
+  await retryNow();
+  await retryNow();
+
+  assert.equal((await history()).at(-1).status, 'dead');
+  assert.equal(sortedSets.get('webhooks:queue').size, 0);
+  assert.equal(strings.has(webhookDispatcher.deliveryKey(delivery.id)), false);
+
+  const [dead] = await webhookDispatcher.deadLetters();
+  assert.equal(dead.id, delivery.id);
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.lastError, 'Receiver responded with 500');
+  assert.equal(dead.body, undefined);
+});
@@ -0,0 +1,96 @@
+import { randomBytes } from 'crypto';
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+import { hashToken } from './mailboxTokens.js';
+
+// Key metadata by id, and the id for each hashed key. Plaintext keys are
+// only ever returned once, when they are created.
+const KEYS_HASH = 'apikeys';
+const LOOKUP_HASH = 'apikeys:lookup';
+
+class ApiKeyStore {
+  usageKey(id) {
+    return `apikey-usage:${id}`;
+  }
+
+  async create({ name, tier = config.apiKeys.defaultTier, expiresInDays = null }) {
+    const id = randomBytes(6).toString('hex');
+    const key = `ste_${randomBytes(24).toString('base64url')}`;
+    const keyHash = hashToken(key);
+
+    const record = {
+      id,
+      name,
+      tier,
+      prefix: key.slice(0, 8),
+      keyHash,
+      created: Date.now(),
+      expires: expiresInDays ? Date.now() + expiresInDays * 24 * 60 * 60 * 1000 : null,
+      revoked: null
+    };
+
+    await redisClient.hSet(KEYS_HASH, id, JSON.stringify(record));
+    await redisClient.hSet(LOOKUP_HASH, keyHash, id);
+
+    return { key, record: this.toPublic(record) };
+  }
+
+  async get(id) {
+    const data = await redisClient.hGet(KEYS_HASH, id);
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Resolve a plaintext key to its record if it is active
+  async authenticate(key) {
+    const id = await redisClient.hGet(LOOKUP_HASH, hashToken(key));
+    const record = id ? await this.get(id) : null;
+
+    if (!record || record.revoked || (record.expires && Date.now() > record.expires)) {
+      return null;
+    }
+
+    return record;
+  }
+
+  async recordUsage(id) {
+    await redisClient.hIncrBy(this.usageKey(id), 'requests', 1);
+    await redisClient.hSet(this.usageKey(id), 'lastUsed', String(Date.now()));
+  }
+
+  async list() {
+    const records = Object.values(await redisClient.hGetAll(KEYS_HASH)).map(data => JSON.parse(data));
+    const keys = [];
+
+    for (const record of records.sort((a, b) => a.created - b.created)) {
+      const usage = await redisClient.hGetAll(this.usageKey(record.id));
+      keys.push({
+        ...this.toPublic(record),
+        usage: {
+          requests: parseInt(usage.requests) || 0,
+          lastUsed: usage.lastUsed ? parseInt(usage.lastUsed) : null
+        }
+      });
+    }
+
+    return keys;
+  }
+
+  async revoke(id) {
+    const record = await this.get(id);
+    if (!record || record.revoked) return null;
+
+    record.revoked = Date.now();
+    await redisClient.hSet(KEYS_HASH, id, JSON.stringify(record));
+    await redisClient.hDel(LOOKUP_HASH, record.keyHash);
+
+    return this.toPublic(record);
+  }
+
+  toPublic({ keyHash, ...record }) {
+    return record;
+  }
+}
+
+// Create and export a singleton instance
+const apiKeyStore = new ApiKeyStore();
+export default apiKeyStore;
@@ -0,0 +1,247 @@
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { join, resolve } from 'path';
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+
+// Seconds left until a copy expires, at least one
+function ttlUntil(expires) {
+  return Math.max(Math.ceil((expires - Date.now()) / 1000), 1);
+}
+
+// Stores attachment bodies as base64 strings next to the mailbox keys
+class RedisBlobBackend {
+  async put(key, content, ttl) {
+    return redisClient.setEx(key, ttl, content.toString('base64'));
+  }
+
+  async get(key) {
+    const data = await redisClient.get(key);
+    return data ? Buffer.from(data, 'base64') : null;
+  }
+
+  async del(key) {
+    return redisClient.del(key);
+  }
+
+  async expire(key, ttl) {
+    return redisClient.expire(key, ttl);
+  }
+
+  async sweep() {
+    // Redis expires blobs through their TTL
+    return 0;
+  }
+}
+
+// Local-disk stand-in for an object store. Each blob is written with a
+// sidecar file recording when it expires, since the filesystem has no TTLs.
+class DiskBlobBackend {
+  constructor(directory) {
+    this.directory = resolve(directory);
+  }
+
+  paths(key) {
+    const name = createHash('sha256').update(key).digest('hex');
+    return {
+      blob: join(this.directory, `${name}.bin`),
+      meta: join(this.directory, `${name}.json`)
+    };
+  }
+
+  async put(key, content, ttl) {
+    const { blob, meta } = this.paths(key);
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(blob, content);
+      await fs.writeFile(meta, JSON.stringify({ key, expires: Date.now() + ttl * 1000 }));
+      return true;
+    } catch (error) {
+      console.error('Error writing attachment to disk:', error);
+      return false;
+    }
+  }
+
+  async get(key) {
+    const { blob, meta } = this.paths(key);
+    try {
+      const { expires } = JSON.parse(await fs.readFile(meta, 'utf8'));
+      if (Date.now() > expires) {
+        await this.del(key);
+        return null;
+      }
+      return await fs.readFile(blob);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async expire(key, ttl) {
+    const { blob, meta } = this.paths(key);
+    try {
+      await fs.access(blob);
+      await fs.writeFile(meta, JSON.stringify({ key, expires: Date.now() + ttl * 1000 }));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async del(key) {
+    const { blob, meta } = this.paths(key);
+    const results = await Promise.allSettled([fs.unlink(blob), fs.unlink(meta)]);
+    return results.some(result => result.status === 'fulfilled');
+  }
+
+  async sweep() {
+    let removed = 0;
+    let files;
+
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      return 0;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const { key, expires } = JSON.parse(await fs.readFile(join(this.directory, file), 'utf8'));
+        if (Date.now() > expires && await this.del(key)) {
+          removed++;
+        }
+      } catch (error) {
+        console.error(`Error sweeping attachment ${file}:`, error);
+      }
+    }
+
+    return removed;
+  }
+}
+
+class AttachmentStore {
+  constructor() {
+    this.backend = config.attachments.store === 'disk'
+      ? new DiskBlobBackend(config.attachments.diskPath)
+      : new RedisBlobBackend();
+  }
+
+  // Messages delivered to several recipients share one set of blobs named
+  // by their blobId, older messages have blobs of their own
+  location(address, message) {
+    return message.blobId ? `shared:${message.blobId}` : `${address}:${message.id}`;
+  }
+
+  key(address, message, attachmentId) {
+    return `attachment:${this.location(address, message)}:${attachmentId}`;
+  }
+
+  rawKey(address, message) {
+    return `raw:${this.location(address, message)}`;
+  }
+
+  // Copies of a shared message, by address and message id, with the time
+  // each of them expires
+  refsKey(blobId) {
+    return `blob-refs:${blobId}`;
+  }
+
+  refName(address, message) {
+    return `${address}:${message.id}`;
+  }
+
+  // Save the raw source and attachment bodies of a message once for all of
+  // its copies. The blobs live as long as the longest-lived copy. Returns
+  // whether the source was saved and the attachments that were.
+  async saveShared(blobId, copies, source, attachments) {
+    const refsKey = this.refsKey(blobId);
+    const ttl = ttlUntil(Math.max(...copies.map(copy => copy.expires)));
+
+    for (const copy of copies) {
+      await redisClient.hSet(refsKey, this.refName(copy.address, copy), String(copy.expires));
+    }
+    await redisClient.expire(refsKey, ttl);
+
+    const shared = { blobId };
+    const hasRaw = source ? await this.backend.put(this.rawKey(null, shared), source, ttl) : false;
+    const saved = [];
+
+    for (const attachment of attachments) {
+      if (await this.backend.put(this.key(null, shared, attachment.id), attachment.content, ttl)) {
+        saved.push(attachment);
+      }
+    }
+
+    return { hasRaw, attachments: saved };
+  }
+
+  async get(address, message, attachmentId) {
+    return this.backend.get(this.key(address, message, attachmentId));
+  }
+
+  async getRaw(address, message) {
+    return this.backend.get(this.rawKey(address, message));
+  }
+
+  async removeBlobs(address, message) {
+    await this.backend.del(this.rawKey(address, message));
+    for (const attachment of message.attachments || []) {
+      await this.backend.del(this.key(address, message, attachment.id));
+    }
+  }
+
+  // Remove the raw source and every attachment belonging to the given
+  // messages. Shared blobs go once no other copy refers to them.
+  async removeAll(address, messages) {
+    for (const message of messages) {
+      if (!message.blobId) {
+        await this.removeBlobs(address, message);
+        continue;
+      }
+
+      const refsKey = this.refsKey(message.blobId);
+      await redisClient.hDel(refsKey, this.refName(address, message));
+
+      if (Object.keys(await redisClient.hGetAll(refsKey)).length === 0) {
+        await this.removeBlobs(address, message);
+        await redisClient.del(refsKey);
+      }
+    }
+  }
+
+  async expireBlobs(address, message, ttl) {
+    await this.backend.expire(this.rawKey(address, message), ttl);
+    for (const attachment of message.attachments || []) {
+      await this.backend.expire(this.key(address, message, attachment.id), ttl);
+    }
+  }
+
+  // Move the expiry of every blob belonging to the given messages. Shared
+  // blobs are kept until the last of their copies expires.
+  async extendAll(address, messages, ttl) {
+    const expires = Date.now() + ttl * 1000;
+
+    for (const message of messages) {
+      if (!message.blobId) {
+        await this.expireBlobs(address, message, ttl);
+        continue;
+      }
+
+      const refsKey = this.refsKey(message.blobId);
+      await redisClient.hSet(refsKey, this.refName(address, message), String(expires));
+
+      const latest = Math.max(...Object.values(await redisClient.hGetAll(refsKey)).map(Number));
+      const sharedTtl = ttlUntil(latest);
+      await redisClient.expire(refsKey, sharedTtl);
+      await this.expireBlobs(address, message, sharedTtl);
+    }
+  }
+
+  // Drop blobs whose mailbox has expired (only needed for disk storage)
+  async sweep() {
+    return this.backend.sweep();
+  }
+}
+
+// Create and export a singleton instance
+const attachmentStore = new AttachmentStore();
+export default attachmentStore;
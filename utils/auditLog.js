@@ -0,0 +1,47 @@
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+import { generateId } from './helper.js';
+
+// Newest entries first, each list capped at config.security.auditLogSize.
+// Denied attempts are kept apart so unauthenticated requests can't push
+// admin actions out of the log.
+const AUDIT_KEY = 'admin:audit';
+const DENIED_KEY = 'admin:audit:denied';
+
+class AuditLog {
+  async record(entry) {
+    const record = {
+      id: generateId(12),
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+
+    const key = record.status === 'denied' ? DENIED_KEY : AUDIT_KEY;
+    await redisClient.lPush(key, JSON.stringify(record));
+    await redisClient.lTrim(key, 0, config.security.auditLogSize - 1);
+
+    return record;
+  }
+
+  async query({ limit = 50, offset = 0, action = null, status = null } = {}) {
+    const keys = status === 'denied' ? [DENIED_KEY] : status ? [AUDIT_KEY] : [AUDIT_KEY, DENIED_KEY];
+    const entries = (await Promise.all(keys.map(key => redisClient.lRange(key, 0, -1))))
+      .flat()
+      .map(data => JSON.parse(data))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    const matching = entries.filter(entry =>
+      (!action || entry.action.includes(action)) &&
+      (!status || entry.status === status)
+    );
+
+    return {
+      entries: matching.slice(offset, offset + limit),
+      total: matching.length
+    };
+  }
+}
+
+// Create and export a singleton instance
+const auditLog = new AuditLog();
+export default auditLog;
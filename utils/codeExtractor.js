@@ -0,0 +1,219 @@
+// Pull one-time codes and verification, sign-in and unsubscribe links out of
+// received mail, in English and Arabic
+
+import sanitizeHtml from 'sanitize-html';
+
+const MAX_CODES = 5;
+const MAX_LINKS = 10;
+
+// Words that introduce a one-time code
+const CODE_KEYWORDS = /\b(code|otp|passcode|pin|one[- ]time|verification|verify|confirmation|security|log ?in|sign[- ]?in|2fa|two[- ]factor)\b|رمز|الرمز|كود|الكود|التحقق|التأكيد|لمرة واحدة/i;
+const ALL_CODE_KEYWORDS = new RegExp(CODE_KEYWORDS.source, 'gi');
+
+// Six digit codes are often split in two, e.g. "123 456" or "123-456".
+// Punctuation only rules a number out when it joins it to more digits, as in
+// prices, dates and times, so "Your code is 482913." still matches.
+const NUMERIC_CODE = /(?<![\w/#+$€£-]|\d[.,:]|\d\s)(\d{3}[ -]\d{3}|\d{4,8})(?![\w/%$€£-]|[.,:]\d|\s\d)/g;
+
+// Upper case codes that mix letters and digits, e.g. "A7K9QZ" or "ABC-123"
+const ALPHANUMERIC_CODE = /(?<![\w-])((?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{5,10}|[A-Z0-9]{3,5}-[A-Z0-9]{3,5})(?![\w-])/g;
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'()[\]]+/g;
+
+// Checked in order, so an unsubscribe link that mentions "confirm" is still
+// an unsubscribe link
+const LINK_TYPES = [
+  ['unsubscribe', /unsubscribe|opt[- ]?out|email preferences|manage (your )?(subscription|preferences)|إلغاء الاشتراك/i],
+  ['password-reset', /reset|forgot|إعادة تعيين|استعادة كلمة المرور/i],
+  ['login', /magic|sign[- ]?in|log[- ]?in|تسجيل الدخول/i],
+  ['verification', /verif|confirm|activat|validat|تأكيد|تفعيل|تحقق/i]
+];
+
+// Block elements end a line when HTML is flattened to text
+const BLOCK_TAGS = /<\/?(p|div|br|tr|td|th|li|h[1-6]|table|blockquote|center)\b[^>]*>/gi;
+
+/**
+ * Replace Arabic-Indic and Persian digits with ASCII digits
+ */
+function normalizeDigits(text) {
+  return text
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+}
+
+/**
+ * Read the text and links of an HTML part
+ */
+function readHtml(html) {
+  const chunks = [];
+  const links = [];
+
+  sanitizeHtml(html.replace(BLOCK_TAGS, tag => `${tag}\n`), {
+    allowedTags: ['a'],
+    allowedAttributes: { a: ['href'] },
+    nonTextTags: ['script', 'style', 'title', 'head', 'textarea', 'noscript'],
+    textFilter: (text) => {
+      chunks.push(text);
+      return text;
+    },
+    exclusiveFilter: (frame) => {
+      if (frame.tag === 'a' && frame.attribs.href) {
+        links.push({ url: frame.attribs.href.trim(), text: frame.text.replace(/\s+/g, ' ').trim() });
+      }
+      return false;
+    }
+  });
+
+  return { text: chunks.join('').replace(/\u00a0/g, ' '), links };
+}
+
+/**
+ * Order code candidates best first: higher score, then the keyword closest
+ * to the code
+ */
+function byRank(a, b) {
+  return b.score - a.score || a.distance - b.distance;
+}
+
+/**
+ * Number of characters between the last keyword in a piece of text and its
+ * end, or null if there is no keyword
+ */
+function keywordDistance(text) {
+  const matches = [...text.matchAll(ALL_CODE_KEYWORDS)];
+  if (matches.length === 0) return null;
+
+  const last = matches[matches.length - 1];
+  return text.length - (last.index + last[0].length);
+}
+
+/**
+ * Find one-time codes in a block of text, best candidates first
+ */
+export function extractCodes(text, source = 'body') {
+  const lines = normalizeDigits(String(text || '')).split(/\r?\n/);
+  const mentionsCode = lines.some(line => CODE_KEYWORDS.test(line));
+  const found = [];
+
+  lines.forEach((line, index) => {
+    const previous = lines.slice(0, index).reverse().find(entry => entry.trim()) || '';
+
+    for (const [pattern, type] of [[NUMERIC_CODE, 'numeric'], [ALPHANUMERIC_CODE, 'alphanumeric']]) {
+      for (const match of line.matchAll(pattern)) {
+        const before = keywordDistance(line.slice(0, match.index));
+        const alone = line.trim() === match[1];
+
+        // A keyword before the code, or on the line above a code that stands
+        // on its own line, is a strong sign. A keyword only after the code on
+        // the same line is a weaker one, as is a code alone on its line in a
+        // message that talks about codes.
+        let score = 0;
+        let distance = 0;
+        if (before !== null) {
+          score = 3;
+          distance = before;
+        } else if (alone && CODE_KEYWORDS.test(previous)) {
+          score = 3;
+        } else if (CODE_KEYWORDS.test(line.slice(match.index + match[0].length))) {
+          score = 2;
+        } else if (alone && mentionsCode) {
+          score = 1;
+        }
+
+        if (score > 0) {
+          const code = type === 'numeric' ? match[1].replace(/[ -]/g, '') : match[1];
+          found.push({ code, type, source, score, distance });
+        }
+      }
+    }
+  });
+
+  return found.sort(byRank);
+}
+
+/**
+ * Classify a link by its text and URL, or return null for other links
+ */
+export function classifyLink(url, context = '') {
+  let path = url;
+  try {
+    const parsed = new URL(url);
+    path = `${parsed.pathname}${parsed.search}`;
+  } catch (error) {
+    return null;
+  }
+
+  for (const [type, pattern] of LINK_TYPES) {
+    if (pattern.test(context) || pattern.test(path)) return type;
+  }
+
+  return null;
+}
+
+/**
+ * Find verification, sign-in, password reset and unsubscribe links in the
+ * plain text, the HTML anchors and the List-Unsubscribe header
+ */
+export function extractLinks({ text = '', htmlLinks = [], listUnsubscribe = '' } = {}) {
+  const candidates = [];
+
+  for (const { url, text: label } of htmlLinks) {
+    if (/^https?:\/\//i.test(url)) {
+      candidates.push({ url, text: label, source: 'html', context: label });
+    }
+  }
+
+  const lines = String(text || '').split(/\r?\n/);
+  lines.forEach((line, index) => {
+    for (const match of line.matchAll(URL_PATTERN)) {
+      const url = match[0].replace(/[.,;:!?]+$/, '');
+      const label = line.slice(0, match.index).trim();
+      // A link on its own line is described by the line above it
+      const context = label || lines.slice(0, index).reverse().find(entry => entry.trim()) || '';
+      candidates.push({ url, text: label, source: 'body', context });
+    }
+  });
+
+  for (const [, url] of String(listUnsubscribe || '').matchAll(/<(https?:\/\/[^>]+)>/gi)) {
+    candidates.push({ url, text: '', source: 'header', context: 'unsubscribe' });
+  }
+
+  const links = [];
+  const seen = new Set();
+
+  for (const { context, ...link } of candidates) {
+    const type = classifyLink(link.url, context);
+    if (!type || seen.has(link.url)) continue;
+
+    seen.add(link.url);
+    links.push({ ...link, type });
+  }
+
+  return links.slice(0, MAX_LINKS);
+}
+
+/**
+ * Extract codes and links from a parsed email. Reads the raw HTML part, so
+ * run it before the HTML is sanitized.
+ */
+export function extractFromEmail(email, headers = []) {
+  const html = email.html ? readHtml(email.html) : { text: '', links: [] };
+  const listUnsubscribe = headers.find(header => header.name.toLowerCase() === 'list-unsubscribe')?.value;
+
+  const codes = [];
+  for (const candidate of [
+    ...extractCodes(email.subject, 'subject'),
+    ...extractCodes(email.body, 'body'),
+    ...extractCodes(html.text, 'html')
+  ].sort(byRank)) {
+    if (!codes.some(entry => entry.code === candidate.code)) {
+      const { score, distance, ...code } = candidate;
+      codes.push(code);
+    }
+  }
+
+  return {
+    codes: codes.slice(0, MAX_CODES),
+    links: extractLinks({ text: email.body, htmlLinks: html.links, listUnsubscribe })
+  };
+}
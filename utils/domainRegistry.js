@@ -0,0 +1,154 @@
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+
+// Domain records by name. Every process keeps a copy in memory so address
+// checks stay synchronous, and reloads it when another process publishes a change.
+const DOMAINS_HASH = 'domains';
+const CHANGES_CHANNEL = 'domains:changed';
+
+class DomainRegistry {
+  constructor() {
+    // Serve the configured domains until the stored registry has loaded
+    this.domains = new Map(
+      config.email.allowedDomains.map(domain => [domain, this.record(domain, 'env')])
+    );
+    this.initialized = null;
+  }
+
+  record(domain, source) {
+    return {
+      domain,
+      enabled: true,
+      source,
+      added: Date.now(),
+      disabled: null
+    };
+  }
+
+  normalize(domain) {
+    return String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+  }
+
+  // Seed the configured domains, load the registry and follow changes made
+  // by other processes. Safe to call more than once.
+  init() {
+    if (!this.initialized) {
+      this.initialized = (async () => {
+        for (const domain of config.email.allowedDomains) {
+          await redisClient.hSetNx(DOMAINS_HASH, domain, JSON.stringify(this.record(domain, 'env')));
+        }
+
+        await redisClient.subscribe(CHANGES_CHANNEL, () => {
+          this.reload().catch(error => {
+            console.error('Error reloading domains:', error);
+          });
+        });
+
+        await this.reload();
+      })();
+    }
+
+    return this.initialized;
+  }
+
+  async reload() {
+    const stored = await redisClient.hGetAll(DOMAINS_HASH);
+    const records = Object.values(stored).map(data => JSON.parse(data));
+
+    // Keep the current list if Redis returned nothing, e.g. during an outage
+    if (records.length > 0) {
+      this.domains = new Map(records.map(record => [record.domain, record]));
+    }
+
+    return this.list();
+  }
+
+  async save(record) {
+    await redisClient.hSet(DOMAINS_HASH, record.domain, JSON.stringify(record));
+    this.domains.set(record.domain, record);
+    await redisClient.publish(CHANGES_CHANNEL, record.domain);
+    return record;
+  }
+
+  list() {
+    return [...this.domains.values()].sort((a, b) => a.domain.localeCompare(b.domain));
+  }
+
+  // Names of the domains new addresses can be created on
+  enabled() {
+    return this.list().filter(record => record.enabled).map(record => record.domain);
+  }
+
+  get(domain) {
+    return this.domains.get(this.normalize(domain)) || null;
+  }
+
+  // Add a domain, or enable it again if it was disabled
+  async add(domain) {
+    const name = this.normalize(domain);
+    const existing = this.get(name);
+
+    if (existing) {
+      return existing.enabled ? existing : this.save({ ...existing, enabled: true, disabled: null });
+    }
+
+    return this.save(this.record(name, 'admin'));
+  }
+
+  // Stop accepting mail and creating addresses on a domain. Returns null if
+  // the domain is unknown.
+  async disable(domain) {
+    const existing = this.get(domain);
+    if (!existing) return null;
+    if (!existing.enabled) return existing;
+
+    return this.save({ ...existing, enabled: false, disabled: Date.now() });
+  }
+
+  // Find the most specific registered domain for a host name. Subdomains
+  // match their parent unless they are registered (and disabled) themselves.
+  match(host) {
+    const labels = this.normalize(host).split('.');
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      const record = this.domains.get(labels.slice(i).join('.'));
+      if (record) return record;
+    }
+
+    return null;
+  }
+
+  isAllowedDomain(host) {
+    return Boolean(this.match(host)?.enabled);
+  }
+
+  // Domain part of an address, or null if it has none
+  domainOf(email) {
+    if (!email || typeof email !== 'string') return null;
+
+    const at = email.lastIndexOf('@');
+    return at > 0 ? email.slice(at + 1) : null;
+  }
+
+  // Addresses that can receive mail and be created
+  isAllowedAddress(email) {
+    const domain = this.domainOf(email);
+    return domain !== null && this.isAllowedDomain(domain);
+  }
+
+  // Addresses on any registered domain, enabled or not. Mailboxes on a
+  // disabled domain stay readable until they expire.
+  isKnownAddress(email) {
+    const domain = this.domainOf(email);
+    return domain !== null && this.match(domain) !== null;
+  }
+
+  randomDomain() {
+    const domains = this.enabled();
+    return domains[Math.floor(Math.random() * domains.length)];
+  }
+}
+
+// Create and export a singleton instance
+const domainRegistry = new DomainRegistry();
+export default domainRegistry;
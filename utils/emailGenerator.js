@@ -1,4 +1,4 @@
-import config from '../config/config.js';
+import domainRegistry from './domainRegistry.js';
 
 class EmailGenerator {
   constructor() {
@@ -27,15 +27,18 @@ class EmailGenerator {
       'زهرة', 'شجرة', 'وردة', 'ثمرة', 'كتاب', 'قلم', 'ورقة', 'مكتب',
       'بيت', 'باب', 'نافذة', 'سقف', 'جدار', 'ارض', 'سطح', 'حديقة'
     ];
-    
-    this.domains = config.email.allowedDomains;
+  }
+
+  // Pick one of the currently enabled domains
+  randomDomain() {
+    return domainRegistry.randomDomain();
   }
 
   generateRandomEmail() {
     const adjective = this.adjectives[Math.floor(Math.random() * this.adjectives.length)];
     const noun = this.nouns[Math.floor(Math.random() * this.nouns.length)];
     const number = Math.floor(Math.random() * 9999);
-    const domain = this.domains[Math.floor(Math.random() * this.domains.length)];
+    const domain = this.randomDomain();
     
     return `${adjective}${noun}${number}@${domain}`;
   }
@@ -55,7 +58,7 @@ class EmailGenerator {
       }
     }
     
-    const domain = this.domains[Math.floor(Math.random() * this.domains.length)];
+    const domain = this.randomDomain();
     return `${username}@${domain}`;
   }
 
@@ -63,7 +66,7 @@ class EmailGenerator {
     const adjective = this.arabicAdjectives[Math.floor(Math.random() * this.arabicAdjectives.length)];
     const noun = this.arabicNouns[Math.floor(Math.random() * this.arabicNouns.length)];
     const number = Math.floor(Math.random() * 999);
-    const domain = this.domains[Math.floor(Math.random() * this.domains.length)];
+    const domain = this.randomDomain();
     
     // Convert Arabic to English characters for email compatibility
     const arabicToEnglish = {
@@ -78,7 +81,7 @@ class EmailGenerator {
   }
 
   generateCustomEmail(customPart) {
-    const domain = this.domains[Math.floor(Math.random() * this.domains.length)];
+    const domain = this.randomDomain();
     return `${customPart}@${domain}`;
   }
 
@@ -106,8 +109,7 @@ class EmailGenerator {
 
   // Validate if an email belongs to our service
   isValidServiceEmail(email) {
-    if (!email || typeof email !== 'string') return false;
-    return this.domains.some(domain => email.toLowerCase().endsWith(domain));
+    return domainRegistry.isAllowedAddress(email);
   }
 
   // Get domain from email
@@ -124,22 +126,21 @@ class EmailGenerator {
       totalNouns: this.nouns.length,
       totalArabicAdjectives: this.arabicAdjectives.length,
       totalArabicNouns: this.arabicNouns.length,
-      availableDomains: this.domains,
+      availableDomains: domainRegistry.enabled(),
       generationMethods: ['random', 'pronounceable', 'arabic', 'custom']
     };
   }
 }
 
-export default new EmailGenerator();
+const emailGenerator = new EmailGenerator();
+export default emailGenerator;
 
-// Named exports for individual functions
-export const { 
-  generateRandomEmail, 
-  generatePronounceableEmail, 
-  generateArabicEmail,
-  generateCustomEmail,
-  generateMultipleEmails,
-  isValidServiceEmail,
-  getDomainFromEmail,
-  getStats
-} = EmailGenerator.prototype;
\ No newline at end of file
+// Named exports for individual functions, bound to the shared instance
+export const generateRandomEmail = emailGenerator.generateRandomEmail.bind(emailGenerator);
+export const generatePronounceableEmail = emailGenerator.generatePronounceableEmail.bind(emailGenerator);
+export const generateArabicEmail = emailGenerator.generateArabicEmail.bind(emailGenerator);
+export const generateCustomEmail = emailGenerator.generateCustomEmail.bind(emailGenerator);
+export const generateMultipleEmails = emailGenerator.generateMultipleEmails.bind(emailGenerator);
+export const isValidServiceEmail = emailGenerator.isValidServiceEmail.bind(emailGenerator);
+export const getDomainFromEmail = emailGenerator.getDomainFromEmail.bind(emailGenerator);
+export const getStats = emailGenerator.getStats.bind(emailGenerator);
\ No newline at end of file
@@ -0,0 +1,164 @@
+import { randomBytes } from 'crypto';
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+import mailboxStore from './mailboxStore.js';
+import attachmentStore from './attachmentStore.js';
+import mailboxEvents from './mailboxEvents.js';
+
+const LOCK_KEY = 'locks:expiry-sweeper';
+const METRICS_KEY = 'sweeper:metrics';
+const WARNING_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+class ExpirySweeper {
+  constructor() {
+    this.io = null;
+    this.sweepTimer = null;
+    this.warningTimer = null;
+    this.instanceId = randomBytes(6).toString('hex');
+  }
+
+  // Start the background timers. Every API worker runs them, but a Redis lock
+  // held for one cleanup interval lets only one worker sweep per interval.
+  start(io) {
+    this.io = io;
+
+    this.sweepTimer = setInterval(() => {
+      this.runScheduledSweep().catch(error => {
+        console.error('Error during scheduled sweep:', error);
+      });
+    }, config.email.cleanupInterval);
+
+    this.warningTimer = setInterval(() => {
+      this.warnExpiring().catch(error => {
+        console.error('Error sending expiry warnings:', error);
+      });
+    }, WARNING_CHECK_INTERVAL);
+
+    // Don't keep the process alive just for the sweeper
+    this.sweepTimer.unref();
+    this.warningTimer.unref();
+
+    console.log(`🧹 Expiry sweeper scheduled every ${Math.round(config.email.cleanupInterval / 1000)}s`);
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    clearInterval(this.warningTimer);
+    this.sweepTimer = null;
+    this.warningTimer = null;
+  }
+
+  async runScheduledSweep() {
+    const lockSeconds = Math.max(Math.floor(config.email.cleanupInterval / 1000) - 1, 1);
+    const acquired = await redisClient.setExNx(LOCK_KEY, lockSeconds, this.instanceId);
+
+    if (!acquired) {
+      return null;
+    }
+
+    return this.sweep();
+  }
+
+  // Remove every expired mailbox with its messages and stored blobs
+  async sweep() {
+    const started = Date.now();
+    const addresses = await mailboxStore.expired(started);
+    let expired = 0;
+
+    for (const address of addresses) {
+      const mailbox = await mailboxStore.get(address);
+
+      // The registry can lag behind a mailbox whose expiry moved forward
+      if (mailbox && mailbox.expires > started) {
+        await mailboxStore.register(mailbox);
+        continue;
+      }
+
+      const messages = await mailboxStore.getMessages(address);
+      await mailboxStore.remove(address);
+      await attachmentStore.removeAll(address, messages);
+      expired++;
+
+      if (this.io) {
+        this.io.to(address).emit('email-expired', { email: address });
+      }
+      await mailboxEvents.publish(address, 'email-expired', { email: address });
+    }
+
+    const blobsRemoved = await attachmentStore.sweep();
+    const duration = Date.now() - started;
+
+    await this.recordMetrics({ expired, duration });
+
+    if (expired > 0 || blobsRemoved > 0) {
+      console.log(`🧹 Sweep removed ${expired} expired emails and ${blobsRemoved} stored files in ${duration}ms`);
+    }
+
+    return { expired, blobsRemoved, duration };
+  }
+
+  // Warn subscribers once per expiry time that their mailbox is about to go
+  async warnExpiring() {
+    if (!this.io) return 0;
+
+    const now = Date.now();
+    const horizon = now + config.email.expiryWarningMinutes * 60 * 1000;
+    const addresses = await mailboxStore.expiringBetween(now, horizon);
+    let warned = 0;
+
+    for (const address of addresses) {
+      const mailbox = await mailboxStore.get(address);
+      if (!mailbox || mailbox.expires <= now || mailbox.expires > horizon) continue;
+
+      // Claim the warning so other workers don't send it again
+      const marker = `expiry-warned:${address}:${mailbox.expires}`;
+      const ttl = Math.max(Math.ceil((mailbox.expires - now) / 1000), 1);
+      if (!await redisClient.setExNx(marker, ttl, '1')) continue;
+
+      const warning = {
+        email: address,
+        expires: mailbox.expires,
+        minutesLeft: Math.ceil((mailbox.expires - now) / 60000)
+      };
+      this.io.to(address).emit('email-expiring', warning);
+      await mailboxEvents.publish(address, 'email-expiring', warning);
+      warned++;
+    }
+
+    if (warned > 0) {
+      await redisClient.hIncrBy(METRICS_KEY, 'totalWarned', warned);
+    }
+
+    return warned;
+  }
+
+  async recordMetrics({ expired, duration }) {
+    await redisClient.pipeline(pipeline => pipeline
+      .hSet(METRICS_KEY, {
+        lastRunAt: String(Date.now()),
+        lastDurationMs: String(duration),
+        lastExpired: String(expired),
+        lastInstance: this.instanceId
+      })
+      .hIncrBy(METRICS_KEY, 'totalRuns', 1)
+      .hIncrBy(METRICS_KEY, 'totalExpired', expired));
+  }
+
+  async metrics() {
+    const data = await redisClient.hGetAll(METRICS_KEY);
+
+    return {
+      intervalMs: config.email.cleanupInterval,
+      lastRunAt: data.lastRunAt ? parseInt(data.lastRunAt) : null,
+      lastDurationMs: parseInt(data.lastDurationMs) || 0,
+      lastExpired: parseInt(data.lastExpired) || 0,
+      totalRuns: parseInt(data.totalRuns) || 0,
+      totalExpired: parseInt(data.totalExpired) || 0,
+      totalWarned: parseInt(data.totalWarned) || 0
+    };
+  }
+}
+
+// Create and export a singleton instance
+const expirySweeper = new ExpirySweeper();
+export default expirySweeper;
@@ -1,5 +1,23 @@
 // Utility functions for the ShortTermEmail backend
 
+import { BlockList, isIP, isIPv4, isIPv6 } from 'net';
+import { promises as dns, lookup as dnsLookup } from 'dns';
+import { Agent } from 'undici';
+
+// Loopback, private, link-local and shared address ranges
+const PRIVATE_RANGES = new BlockList();
+PRIVATE_RANGES.addSubnet('0.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('10.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('100.64.0.0', 10);
+PRIVATE_RANGES.addSubnet('127.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('169.254.0.0', 16);
+PRIVATE_RANGES.addSubnet('172.16.0.0', 12);
+PRIVATE_RANGES.addSubnet('192.168.0.0', 16);
+PRIVATE_RANGES.addAddress('::', 'ipv6');
+PRIVATE_RANGES.addAddress('::1', 'ipv6');
+PRIVATE_RANGES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_RANGES.addSubnet('fe80::', 10, 'ipv6');
+
 /**
  * Format a date to a human-readable string
  */
@@ -175,6 +193,52 @@ export function isValidIP(ip) {
   return ipRegex.test(ip);
 }
 
+/**
+ * Check if an IP address is loopback, private or link-local
+ */
+export function isPrivateIP(ip) {
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.)/i, '');
+  if (isIPv4(address)) return PRIVATE_RANGES.check(address, 'ipv4');
+  if (isIPv6(address)) return PRIVATE_RANGES.check(address, 'ipv6');
+  return false;
+}
+
+/**
+ * Check if a hostname is localhost or resolves to a private address
+ */
+export async function resolvesToPrivateAddress(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || isPrivateIP(host)) return true;
+  if (isIP(host)) return false;
+
+  const addresses = await dns.lookup(host, { all: true });
+  return addresses.some(({ address }) => isPrivateIP(address));
+}
+
+/**
+ * DNS lookup for outgoing connections that fails when the name resolves to a
+ * private address, so the address connected to is the one that was checked
+ */
+export function publicLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateIP(address))) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = 'EPRIVATEADDRESS';
+      return callback(blocked);
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Dispatcher for requests to user-supplied URLs. IP literals never reach the
+// lookup, so callers still check those with resolvesToPrivateAddress.
+export const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
 /**
  * Get client IP from request
  */
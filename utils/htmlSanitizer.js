@@ -0,0 +1,115 @@
+import sanitizeHtml from 'sanitize-html';
+import config from '../config/config.js';
+import { isTrackingPixel, proxyImageUrl } from './imageProxy.js';
+
+// Everything not listed here is dropped: scripts, event handlers, forms,
+// iframes, embeds and <style> blocks. Inline styles are kept because most
+// mail layouts depend on them.
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'font', 'center'],
+  allowedAttributes: {
+    '*': [
+      'style', 'align', 'valign', 'width', 'height', 'bgcolor', 'border',
+      'cellpadding', 'cellspacing', 'colspan', 'rowspan', 'dir', 'lang', 'title'
+    ],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt'],
+    font: ['color', 'face', 'size']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: {
+    img: ['http', 'https', 'data']
+  },
+  allowProtocolRelative: false,
+  nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'title', 'head', 'iframe', 'object', 'embed']
+};
+
+/**
+ * Content-ID named by a cid: URL, or null if it can't be decoded
+ */
+function parseContentId(src) {
+  try {
+    return decodeURIComponent(src.slice(4)).replace(/^<|>$/g, '').toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Absolute URL of a stored attachment
+ */
+export function attachmentUrl(address, messageId, attachmentId) {
+  return `${config.server.protocol}://api.${config.server.domain}/api/emails/${encodeURIComponent(address)}/messages/${messageId}/attachments/${attachmentId}`;
+}
+
+/**
+ * Sanitize the HTML part of a message with an allow-list. cid: references
+ * point at the attachments of the stored message, remote images go through
+ * the image proxy and tracking pixels are removed. Returns the HTML with a
+ * count of remote images and trackers found.
+ */
+export function sanitizeEmailHtml(html, { address, messageId, attachments = [] }) {
+  const images = { remote: 0, trackers: 0 };
+  if (!html) return { html: null, images };
+
+  const byContentId = new Map(attachments
+    .filter(attachment => attachment.contentId)
+    .map(attachment => [attachment.contentId.toLowerCase(), attachment.id]));
+
+  // Where an image reference should point, or null to drop it
+  const rewriteImage = (url) => {
+    if (/^cid:/i.test(url)) {
+      const attachmentId = byContentId.get(parseContentId(url));
+      return attachmentId ? attachmentUrl(address, messageId, attachmentId) : null;
+    }
+
+    if (/^https?:\/\//i.test(url)) {
+      images.remote++;
+      return proxyImageUrl(url);
+    }
+
+    return /^data:image\//i.test(url) ? url : null;
+  };
+
+  const sanitized = sanitizeHtml(html, {
+    ...SANITIZE_OPTIONS,
+    transformTags: {
+      // Links open outside the rendering frame and don't leak the inbox URL
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' }
+      }),
+      img: (tagName, attribs) => {
+        const { src = '', ...rest } = attribs;
+        const url = src.trim();
+
+        if (/^https?:\/\//i.test(url) && isTrackingPixel(url, attribs)) {
+          images.trackers++;
+          return { tagName, attribs: rest };
+        }
+
+        const rewritten = rewriteImage(url);
+        return { tagName, attribs: rewritten ? { ...rest, src: rewritten } : rest };
+      },
+      '*': (tagName, attribs) => {
+        if (!attribs.style) return { tagName, attribs };
+
+        // CSS escapes could hide a url() from the rewrite below, and
+        // image-set() loads images from plain strings without one
+        if (attribs.style.includes('\\') || /image-set\s*\(/i.test(attribs.style)) {
+          const { style, ...rest } = attribs;
+          return { tagName, attribs: rest };
+        }
+
+        const style = attribs.style.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => {
+          const rewritten = rewriteImage(url.trim());
+          return rewritten ? `url("${rewritten}")` : 'none';
+        });
+
+        return { tagName, attribs: { ...attribs, style } };
+      }
+    }
+  });
+
+  return { html: sanitized, images };
+}
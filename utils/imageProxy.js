@@ -0,0 +1,171 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { fetch } from 'undici';
+import config from '../config/config.js';
+import { publicAgent, resolvesToPrivateAddress } from './helper.js';
+
+// URLs are signed by the SMTP process and checked by the API workers, so they
+// need a shared secret. Without one each process uses its own random key and
+// no proxied image ever loads.
+const proxySecret = config.imageProxy.secret || randomBytes(32).toString('hex');
+
+if (!config.imageProxy.secret) {
+  console.warn('⚠️  Warning: IMAGE_PROXY_SECRET and SESSION_SECRET are not set, proxied images will not load');
+}
+
+const PROXY_PATH = '/api/proxy/image';
+
+// SVG is left out because it can carry scripts
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp', 'image/x-icon', 'image/vnd.microsoft.icon'];
+
+// Open tracking endpoints of common mailing services and the usual naming of
+// tracking pixels elsewhere
+const TRACKER_PATTERNS = [
+  /\/track\/open/i,
+  /\/wf\/open/i,
+  /\/e\/o\//i,
+  /mailtrack\.io\//i,
+  /\/(open|pixel|beacon|spacer)\.(gif|png)(\?|$)/i,
+  /[?&](open|pixel)=/i
+];
+
+/**
+ * Sign a remote image URL for the proxy
+ */
+export function signImageUrl(url) {
+  return createHmac('sha256', proxySecret).update(url).digest('base64url');
+}
+
+/**
+ * Check a proxy signature without leaking timing information
+ */
+export function verifyImageSignature(url, signature) {
+  const expected = Buffer.from(signImageUrl(url));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Absolute proxy URL for a remote image
+ */
+export function proxyImageUrl(url) {
+  const query = new URLSearchParams({ u: url, sig: signImageUrl(url) });
+  return `${config.server.protocol}://api.${config.server.domain}${PROXY_PATH}?${query}`;
+}
+
+/**
+ * Read a CSS pixel size, or null if it isn't a plain number of pixels
+ */
+function pixels(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(px)?\s*$/i.exec(String(value ?? ''));
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Check whether an <img> is a tracking pixel: a known open-tracking URL, a
+ * hidden image, or one sized 1x1 or smaller
+ */
+export function isTrackingPixel(url, attribs = {}) {
+  if (TRACKER_PATTERNS.some(pattern => pattern.test(url))) return true;
+
+  const style = String(attribs.style || '').toLowerCase();
+  if (/display\s*:\s*none|visibility\s*:\s*hidden/.test(style)) return true;
+
+  const width = pixels(attribs.width) ?? pixels(/(?:^|;)\s*width\s*:([^;]+)/.exec(style)?.[1]);
+  const height = pixels(attribs.height) ?? pixels(/(?:^|;)\s*height\s*:([^;]+)/.exec(style)?.[1]);
+  return width !== null && height !== null && width <= 1 && height <= 1;
+}
+
+/**
+ * Block proxied images in sanitized HTML unless the reader opted in to
+ * loading them. Blocked images keep their URL in data-blocked-src.
+ */
+export function applyImagePolicy(html, loadImages = false) {
+  if (!html || loadImages) return html;
+
+  const base = `${config.server.protocol}://api.${config.server.domain}${PROXY_PATH}?`
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return html
+    .replace(new RegExp(` src="(${base}[^"]*)"`, 'g'), ' data-blocked-src="$1"')
+    .replace(new RegExp(`url\\((&quot;|')?${base}[^)]*\\)`, 'g'), 'none');
+}
+
+// Build an error carrying the HTTP status the proxy endpoint responds with
+function proxyError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Fetch a remote image for the proxy, following a few redirects and
+ * refusing private addresses, non-image content and oversized bodies
+ */
+export async function fetchImage(url) {
+  let target = url;
+
+  for (let redirects = 0; redirects <= config.imageProxy.maxRedirects; redirects++) {
+    const parsed = new URL(target);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw proxyError(400, 'Only http and https images can be proxied');
+    }
+
+    if (!config.imageProxy.allowPrivateUrls && await resolvesToPrivateAddress(parsed.hostname)) {
+      throw proxyError(403, 'Image URL resolves to a private address');
+    }
+
+    // The agent checks the address again at connect time, so a name that
+    // re-resolves to a private address after the check above is refused
+    const response = await fetch(target, {
+      headers: {
+        'User-Agent': 'ShortTermEmail-ImageProxy/1.0',
+        'Accept': IMAGE_TYPES.join(', ')
+      },
+      redirect: 'manual',
+      dispatcher: config.imageProxy.allowPrivateUrls ? undefined : publicAgent,
+      signal: AbortSignal.timeout(config.imageProxy.timeoutMs)
+    }).catch(error => {
+      if (error.cause?.code === 'EPRIVATEADDRESS') {
+        throw proxyError(403, 'Image URL resolves to a private address');
+      }
+      throw error;
+    });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      await response.body?.cancel();
+      target = new URL(response.headers.get('location'), target).href;
+      continue;
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw proxyError(502, `Image server responded with ${response.status}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!IMAGE_TYPES.includes(contentType)) {
+      await response.body?.cancel();
+      throw proxyError(415, `Unsupported image type ${contentType || 'unknown'}`);
+    }
+
+    if (Number(response.headers.get('content-length')) > config.imageProxy.maxSize) {
+      await response.body?.cancel();
+      throw proxyError(413, 'Image is too large');
+    }
+
+    // Content-Length can be missing or wrong, so count while reading
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > config.imageProxy.maxSize) {
+        throw proxyError(413, 'Image is too large');
+      }
+      chunks.push(chunk);
+    }
+
+    return { contentType, content: Buffer.concat(chunks) };
+  }
+
+  throw proxyError(502, 'Too many redirects');
+}
@@ -0,0 +1,218 @@
+import { isIPv4 } from 'net';
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+import { createResolver } from './mailAuth.js';
+import { isPrivateIP } from './helper.js';
+
+// Runtime blocklist managed through the admin API, checked together with
+// the SMTP_BLOCKLIST entries from the environment
+const BLOCKLIST_KEY = 'smtp:blocklist';
+
+// Count an event in a fixed window that starts with the first event.
+// KEYS: counter; ARGV: window (ms)
+const RATE_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+// Phrases that add to the content score, in English and Arabic
+const SPAM_PHRASES = [
+  'viagra', 'casino', 'lottery', 'you have won', 'winner', 'free money',
+  'act now', 'limited time offer', '100% free', 'click here', 'crypto investment',
+  'wire transfer', 'claim your prize', 'risk free', 'no credit check',
+  'ربحت', 'جائزة', 'مجانا', 'اضغط هنا', 'عرض محدود'
+];
+
+const MAX_PHRASE_POINTS = 4;
+const MAX_LINKS = 15;
+
+// Build an error whose SMTP reply code smtp-server sends to the client
+function rejection(responseCode, message) {
+  const error = new Error(message);
+  error.responseCode = responseCode;
+  return error;
+}
+
+class InboundFilter {
+  constructor() {
+    this.resolver = createResolver();
+  }
+
+  // Replace the DNSBL resolver, e.g. with a stub in tests. It is called like
+  // dns.promises.resolve(name, rrtype).
+  setResolver(resolver) {
+    this.resolver = resolver || createResolver();
+  }
+
+  normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:/i, '');
+  }
+
+  // Check the connecting client. Returns an Error to reject it, or null.
+  async checkConnection(session) {
+    const ip = this.normalizeIp(session.remoteAddress);
+
+    if (await this.isBlocked(ip)) {
+      return rejection(554, `5.7.1 Client host [${ip}] is blocked`);
+    }
+
+    const connections = await this.hit(`rate:smtp:connections:${ip}`);
+    if (connections > config.filtering.maxConnectionsPerIp) {
+      return rejection(421, '4.7.0 Too many connections from your host, please try again later');
+    }
+
+    session.dnsbl = await this.dnsblListings(ip);
+    if (session.dnsbl.length > 0 && config.filtering.dnsblReject) {
+      return rejection(554, `5.7.1 Client host [${ip}] blocked using ${session.dnsbl[0]}`);
+    }
+
+    return null;
+  }
+
+  // Check the MAIL FROM sender. Returns an Error to reject it, or null.
+  async checkSender(address, session) {
+    const ip = this.normalizeIp(session.remoteAddress);
+    const sender = String(address || '').toLowerCase();
+
+    if (sender && await this.isSenderBlocked(sender)) {
+      return rejection(550, `5.7.1 <${sender}>: Sender address rejected`);
+    }
+
+    const fromIp = await this.hit(`rate:smtp:messages:${ip}`);
+    if (fromIp > config.filtering.maxMessagesPerIp) {
+      return rejection(450, '4.7.1 Too many messages from your host, please try again later');
+    }
+
+    // Bounces have an empty sender and are only limited per IP
+    if (sender) {
+      const fromSender = await this.hit(`rate:smtp:senders:${sender}`);
+      if (fromSender > config.filtering.maxMessagesPerSender) {
+        return rejection(450, `4.7.1 <${sender}>: Too many messages from this sender, please try again later`);
+      }
+    }
+
+    return null;
+  }
+
+  // Count one event against a rate limit. Fails open if Redis is unavailable.
+  async hit(key) {
+    try {
+      return await redisClient.eval(RATE_SCRIPT, [key], [config.filtering.windowMs]);
+    } catch (error) {
+      console.error('Error updating SMTP rate limit:', error);
+      return 0;
+    }
+  }
+
+  async isBlocked(entry) {
+    return config.filtering.blocklist.includes(entry) ||
+      await redisClient.sIsMember(BLOCKLIST_KEY, entry);
+  }
+
+  // A sender is blocked by its address, its domain or any parent domain
+  async isSenderBlocked(sender) {
+    const labels = sender.slice(sender.lastIndexOf('@') + 1).split('.');
+    const candidates = [sender];
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      candidates.push(labels.slice(i).join('.'));
+    }
+
+    for (const candidate of candidates) {
+      if (await this.isBlocked(candidate)) return true;
+    }
+
+    return false;
+  }
+
+  // DNSBL zones listing an IPv4 client
+  async dnsblListings(ip) {
+    const zones = config.filtering.dnsblZones;
+    // Loopback and private clients are never looked up
+    if (zones.length === 0 || !isIPv4(ip) || isPrivateIP(ip)) return [];
+
+    const reversed = ip.split('.').reverse().join('.');
+    const results = await Promise.all(zones.map(async zone => {
+      try {
+        const addresses = await this.resolver(`${reversed}.${zone}`, 'A');
+        return addresses.some(address => address.startsWith('127.')) ? zone : null;
+      } catch (error) {
+        if (error.code !== 'ENOTFOUND' && error.code !== 'ENODATA') {
+          console.error(`Error querying DNSBL ${zone}:`, error.message);
+        }
+        return null;
+      }
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  // Score a parsed message. Higher is more likely spam.
+  scoreMessage(email, session = {}) {
+    const reasons = [];
+    let score = 0;
+    const add = (points, reason) => {
+      score += points;
+      reasons.push(reason);
+    };
+
+    const { spf, dkim, dmarc } = email.authentication || {};
+    if (spf?.result === 'fail') add(2, 'SPF failed');
+    if (spf?.result === 'softfail') add(1, 'SPF soft failed');
+    if (dkim?.result === 'fail') add(2, 'DKIM signature failed');
+    if (dmarc?.result === 'fail') add(3, 'DMARC failed');
+
+    for (const zone of session.dnsbl || []) {
+      add(3, `Client listed in ${zone}`);
+    }
+
+    const subjectLetters = (email.subject || '').replace(/[^a-zA-Z]/g, '');
+    if (subjectLetters.length >= 8 && subjectLetters.replace(/[^A-Z]/g, '').length / subjectLetters.length > 0.7) {
+      add(1, 'Subject is mostly capitals');
+    }
+
+    const content = `${email.subject || ''}\n${email.body || ''}\n${email.html || ''}`.toLowerCase();
+    const phrases = SPAM_PHRASES.filter(phrase => content.includes(phrase));
+    if (phrases.length > 0) {
+      add(Math.min(phrases.length, MAX_PHRASE_POINTS), `Spam phrases: ${phrases.join(', ')}`);
+    }
+
+    if (email.html && !email.body) add(1, 'HTML without a text part');
+
+    const links = (content.match(/https?:\/\//g) || []).length;
+    if (links > MAX_LINKS) add(1, `Contains ${links} links`);
+
+    if (!email.messageId) add(1, 'Missing Message-ID');
+    if (!email.date) add(0.5, 'Missing Date');
+
+    return {
+      score,
+      threshold: config.filtering.spamThreshold,
+      isSpam: score >= config.filtering.spamThreshold,
+      reasons
+    };
+  }
+
+  // Runtime blocklist entries plus the ones configured in the environment
+  async listBlocked() {
+    return {
+      entries: (await redisClient.sMembers(BLOCKLIST_KEY)).sort(),
+      configured: config.filtering.blocklist
+    };
+  }
+
+  async block(entry) {
+    return (await redisClient.sAdd(BLOCKLIST_KEY, entry.toLowerCase())) > 0;
+  }
+
+  async unblock(entry) {
+    return (await redisClient.sRem(BLOCKLIST_KEY, entry.toLowerCase())) > 0;
+  }
+}
+
+// Create and export a singleton instance
+const inboundFilter = new InboundFilter();
+export default inboundFilter;
@@ -0,0 +1,95 @@
+import { promises as dns } from 'dns';
+import { authenticate } from 'mailauth';
+import config from '../config/config.js';
+
+/**
+ * Create a resolver for SPF, DKIM and DMARC lookups. It has the signature of
+ * dns.promises.resolve(name, rrtype) and uses AUTH_DNS_SERVERS when set.
+ */
+export function createResolver({ servers = config.authentication.dnsServers, timeout = config.authentication.dnsTimeout } = {}) {
+  const resolver = new dns.Resolver({ timeout, tries: 2 });
+
+  if (servers.length > 0) {
+    resolver.setServers(servers);
+  }
+
+  return (name, rrtype) => resolver.resolve(name, rrtype);
+}
+
+let resolver = createResolver();
+
+/**
+ * Replace the DNS resolver, e.g. with a stub that answers from fixtures
+ */
+export function setResolver(customResolver) {
+  resolver = customResolver || createResolver();
+}
+
+/**
+ * Summarize the mailauth results for storage on a message
+ */
+function summarize({ spf, dkim, dmarc }) {
+  // Unsigned messages get a single result row without a signing domain
+  const rows = dkim.results || [];
+  const signatures = rows.filter(row => row.signingDomain).map(row => ({
+    domain: row.signingDomain,
+    selector: row.selector || null,
+    result: row.status.result,
+    aligned: row.status.aligned || null,
+    reason: row.status.comment || null
+  }));
+
+  const dkimResult = signatures.some(signature => signature.result === 'pass')
+    ? 'pass'
+    : signatures[0]?.result || rows[0]?.status.result || 'none';
+
+  return {
+    spf: {
+      result: spf?.status?.result || 'none',
+      domain: spf?.domain || null,
+      reason: spf?.status?.comment || null
+    },
+    dkim: {
+      result: dkimResult,
+      signatures,
+      reason: signatures.length === 0 ? rows[0]?.status.comment || null : null
+    },
+    dmarc: {
+      result: dmarc?.status?.result || 'none',
+      domain: dmarc?.domain || null,
+      policy: dmarc?.policy || null,
+      reason: dmarc?.status?.comment || dmarc?.error || null
+    },
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Verify DKIM signatures, SPF for the connecting client and DMARC alignment
+ * of a raw message. Lookup failures are reported as temperror.
+ */
+export async function verifyAuthentication(source, { ip, helo, sender }) {
+  try {
+    const result = await authenticate(source, {
+      ip,
+      helo,
+      sender,
+      mta: config.authentication.mta,
+      resolver,
+      disableArc: true,
+      disableBimi: true
+    });
+
+    return summarize(result);
+  } catch (error) {
+    console.error('Error verifying message authentication:', error);
+
+    const temperror = { result: 'temperror', reason: error.message };
+    return {
+      spf: { ...temperror, domain: null },
+      dkim: { ...temperror, signatures: [] },
+      dmarc: { ...temperror, domain: null, policy: null },
+      checkedAt: new Date().toISOString()
+    };
+  }
+}
@@ -0,0 +1,121 @@
+import { simpleParser } from 'mailparser';
+import { htmlToText } from 'html-to-text';
+
+// Parsing options shared by every inbound message. Inline images keep their
+// cid: references instead of being inlined as data URIs, and plain text is
+// not turned into generated HTML.
+const PARSER_OPTIONS = {
+  skipImageLinks: true,
+  skipTextToHtml: true,
+  skipTextLinks: true
+};
+
+/**
+ * Flatten a mailparser address field into a list of { name, address } pairs
+ */
+export function normalizeAddresses(field) {
+  if (!field) return [];
+
+  const groups = Array.isArray(field) ? field : [field];
+  const addresses = [];
+
+  for (const group of groups) {
+    for (const entry of group.value || []) {
+      // Expand RFC 5322 groups ("Team: a@x, b@y;") into their members
+      if (entry.group) {
+        addresses.push(...normalizeAddresses({ value: entry.group }));
+      } else if (entry.address) {
+        addresses.push({
+          name: entry.name || '',
+          address: entry.address.toLowerCase()
+        });
+      }
+    }
+  }
+
+  return addresses;
+}
+
+/**
+ * Map mailparser attachments to stored metadata plus their decoded content
+ */
+export function extractAttachments(parsed) {
+  return (parsed.attachments || []).map((attachment, index) => ({
+    id: `att${index + 1}`,
+    filename: attachment.filename || `attachment-${index + 1}`,
+    contentType: attachment.contentType || 'application/octet-stream',
+    size: attachment.size || attachment.content.length,
+    contentId: attachment.contentId ? attachment.contentId.replace(/^<|>$/g, '') : null,
+    inline: attachment.contentDisposition === 'inline' || Boolean(attachment.related),
+    content: attachment.content
+  }));
+}
+
+/**
+ * Derive plain text from an HTML part the way mailparser does for single-part
+ * HTML messages
+ */
+function textFromHtml(html) {
+  try {
+    return htmlToText(html);
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Parse a raw RFC 5322 message (Buffer, string or stream)
+ *
+ * Handles folded headers, nested multipart bodies, quoted-printable and
+ * base64 transfer encodings, RFC 2047 encoded words and charset conversion,
+ * returning every text field as a UTF-8 string.
+ */
+export async function parseEmail(source) {
+  const parsed = await simpleParser(source, PARSER_OPTIONS);
+  const [sender] = normalizeAddresses(parsed.from);
+
+  // mailparser derives the text of a single-part HTML message from its HTML,
+  // so an empty text field alone doesn't show that the text part is missing.
+  // Multipart messages without a text part get no text at all, so derive it
+  // here for snippets and search.
+  const htmlOnly = parsed.headers.get('content-type')?.value === 'text/html';
+  const html = typeof parsed.html === 'string' ? parsed.html : null;
+
+  return {
+    subject: parsed.subject || '',
+    from: sender ? sender.address : null,
+    fromName: sender ? sender.name : '',
+    to: normalizeAddresses(parsed.to),
+    cc: normalizeAddresses(parsed.cc),
+    replyTo: normalizeAddresses(parsed.replyTo),
+    date: parsed.date instanceof Date && !isNaN(parsed.date) ? parsed.date.toISOString() : null,
+    messageId: parsed.messageId || null,
+    text: parsed.text || (html ? textFromHtml(html) : ''),
+    hasText: Boolean(parsed.text) && !htmlOnly,
+    html,
+    attachments: extractAttachments(parsed)
+  };
+}
+
+/**
+ * Read the header block of a raw message as an ordered list of name/value pairs
+ *
+ * Values are unfolded but not decoded, so encoded words and signatures such
+ * as DKIM-Signature appear as the sender wrote them.
+ */
+export function parseHeaders(source) {
+  const text = Buffer.isBuffer(source) ? source.toString('binary') : String(source);
+  const end = text.search(/\r?\n\r?\n/);
+  const block = end === -1 ? text : text.slice(0, end);
+
+  return block
+    .split(/\r?\n(?![ \t])/)
+    .filter(line => line.includes(':'))
+    .map(line => {
+      const separator = line.indexOf(':');
+      return {
+        name: line.slice(0, separator).trim(),
+        value: Buffer.from(line.slice(separator + 1).replace(/\r?\n[ \t]+/g, ' ').trim(), 'binary').toString('utf8')
+      };
+    });
+}
@@ -0,0 +1,39 @@
+import redisClient from '../config/redis.js';
+
+// Mailbox events travel over one Redis channel per address, so every API
+// worker sees deliveries made by the SMTP process.
+const CHANNEL_PREFIX = 'mailbox-events:';
+
+class MailboxEvents {
+  channel(address) {
+    return `${CHANNEL_PREFIX}${address}`;
+  }
+
+  async publish(address, event, data) {
+    return redisClient.publish(this.channel(address), JSON.stringify({ event, data }));
+  }
+
+  // Call listener(event, data) for every event of a mailbox. Resolves to a
+  // function that removes the listener again.
+  async subscribe(address, listener) {
+    const channel = this.channel(address);
+    const handler = (message) => {
+      try {
+        const { event, data } = JSON.parse(message);
+        listener(event, data);
+      } catch (error) {
+        console.error('Error handling mailbox event:', error);
+      }
+    };
+
+    if (!await redisClient.subscribe(channel, handler)) {
+      throw new Error(`Failed to subscribe to events of ${address}`);
+    }
+
+    return () => redisClient.unsubscribe(channel, handler);
+  }
+}
+
+// Create and export a singleton instance
+const mailboxEvents = new MailboxEvents();
+export default mailboxEvents;
@@ -0,0 +1,347 @@
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+
+// Registry of every mailbox scored by its expiry time, so expired mailboxes
+// can be found with ZRANGEBYSCORE instead of scanning the keyspace.
+const REGISTRY_KEY = 'mailboxes:by-expiry';
+const ACTIVE_COUNTER = 'stats:active-mailboxes';
+const RECEIVED_COUNTER = 'stats:total-received';
+
+// Append a message hash to a mailbox and trim it to the newest ARGV[3]
+// messages, all in one step so concurrent deliveries cannot lose messages.
+// Message keys share the mailbox TTL. Returns the ids of evicted messages, or
+// nil when the mailbox does not exist.
+// KEYS: mailbox, message index, message hash
+// ARGV: message id, score, max messages, field, value, ...
+const APPEND_MESSAGE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return false
+end
+local ttl = redis.call('PTTL', KEYS[1])
+redis.call('HSET', KEYS[3], unpack(ARGV, 4))
+redis.call('ZADD', KEYS[2], ARGV[2], ARGV[1])
+if ttl > 0 then
+  redis.call('PEXPIRE', KEYS[3], ttl)
+  redis.call('PEXPIRE', KEYS[2], ttl)
+end
+local excess = redis.call('ZCARD', KEYS[2]) - tonumber(ARGV[3])
+if excess > 0 then
+  local evicted = redis.call('ZRANGE', KEYS[2], 0, excess - 1)
+  redis.call('ZREMRANGEBYRANK', KEYS[2], 0, excess - 1)
+  return evicted
+end
+return {}
+`;
+
+// Update fields of a message hash without recreating a deleted message.
+// KEYS: message hash; ARGV: field, value, ...
+const UPDATE_MESSAGE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+redis.call('HSET', KEYS[1], unpack(ARGV))
+return 1
+`;
+
+// Move a mailbox and all of its message keys to a new absolute expiry.
+// KEYS: mailbox, message index, other mailbox keys...
+// ARGV: expires (ms), mailbox JSON, message key prefix
+const EXTEND_MAILBOX_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2])
+for i = 1, #KEYS do
+  redis.call('PEXPIREAT', KEYS[i], ARGV[1])
+end
+for _, id in ipairs(redis.call('ZRANGE', KEYS[2], 0, -1)) do
+  redis.call('PEXPIREAT', ARGV[3] .. id, ARGV[1])
+end
+return 1
+`;
+
+class MailboxStore {
+  key(address) {
+    return `email:${address}`;
+  }
+
+  // Message ids of a mailbox, scored by arrival time
+  indexKey(address) {
+    return `messages:${address}`;
+  }
+
+  messageKey(address, id) {
+    return `message:${address}:${id}`;
+  }
+
+  // Webhooks registered on a mailbox and their delivery history
+  webhooksKey(address) {
+    return `webhooks:${address}`;
+  }
+
+  deliveriesKey(address) {
+    return `webhook-deliveries:${address}`;
+  }
+
+  // Counter of changes to the messages of a mailbox
+  versionKey(address) {
+    return `messages-version:${address}`;
+  }
+
+  // Keys besides the messages that share the lifetime of a mailbox
+  relatedKeys(address) {
+    return [this.indexKey(address), this.webhooksKey(address), this.deliveriesKey(address), this.versionKey(address)];
+  }
+
+  ttlFor(mailbox) {
+    return Math.max(Math.ceil((mailbox.expires - Date.now()) / 1000), 1);
+  }
+
+  // Message hash fields are stored as JSON so nested values survive
+  encodeMessage(message) {
+    return Object.entries(message).flatMap(([field, value]) => [field, JSON.stringify(value ?? null)]);
+  }
+
+  decodeMessage(hash) {
+    if (!hash || Object.keys(hash).length === 0) return null;
+    return Object.fromEntries(
+      Object.entries(hash).map(([field, value]) => [field, JSON.parse(value)])
+    );
+  }
+
+  // Create a new mailbox and register it. Returns false if the address is taken.
+  async create(mailbox) {
+    const created = await redisClient.setExNx(this.key(mailbox.email), this.ttlFor(mailbox), JSON.stringify(mailbox));
+
+    if (created === null) {
+      throw new Error(`Failed to create mailbox ${mailbox.email}`);
+    }
+
+    if (created) {
+      await redisClient.multi(multi => multi
+        .zAdd(REGISTRY_KEY, { score: mailbox.expires, value: mailbox.email })
+        .incr(ACTIVE_COUNTER));
+    }
+
+    return created;
+  }
+
+  // Load the stored mailbox metadata, or null if it does not exist
+  async get(address) {
+    const data = await redisClient.get(this.key(address));
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Persist mailbox metadata, keeping its Redis TTL tied to `expires`
+  async save(mailbox) {
+    return redisClient.setEx(this.key(mailbox.email), this.ttlFor(mailbox), JSON.stringify(mailbox));
+  }
+
+  // Change the expiry of a mailbox, keeping the `expires` field, the Redis
+  // TTLs of the mailbox and its messages, and the registry in lockstep.
+  // Returns false if the mailbox no longer exists.
+  async extend(mailbox, expires) {
+    const updated = { ...mailbox, expires };
+    const extended = await redisClient.eval(
+      EXTEND_MAILBOX_SCRIPT,
+      [this.key(mailbox.email), ...this.relatedKeys(mailbox.email)],
+      [expires, JSON.stringify(updated), this.messageKey(mailbox.email, '')]
+    );
+
+    if (extended !== 1) return false;
+
+    await this.register(updated);
+    return true;
+  }
+
+  // Delete a mailbox together with all of its messages and related keys
+  async remove(address) {
+    const ids = await redisClient.zRange(this.indexKey(address), 0, -1);
+    const deleted = await redisClient.del(this.key(address));
+
+    await redisClient.multi(multi => {
+      for (const key of this.relatedKeys(address)) {
+        multi.del(key);
+      }
+      for (const id of ids) {
+        multi.del(this.messageKey(address, id));
+      }
+    });
+
+    await this.unregister(address);
+    return deleted;
+  }
+
+  // Update the registry score of a mailbox after its expiry changed
+  async register(mailbox) {
+    return redisClient.zAdd(REGISTRY_KEY, mailbox.expires, mailbox.email);
+  }
+
+  // Drop an address from the registry. Only the caller that actually removes
+  // the entry decrements the counter, so concurrent removals stay consistent.
+  async unregister(address) {
+    if (await redisClient.zRem(REGISTRY_KEY, address)) {
+      await redisClient.decr(ACTIVE_COUNTER);
+    }
+  }
+
+  // Addresses whose expiry time has passed, oldest first
+  async expired(now = Date.now(), limit = 1000) {
+    return redisClient.zRangeByScore(REGISTRY_KEY, '-inf', now, limit);
+  }
+
+  // Addresses expiring after `from` and no later than `to`
+  async expiringBetween(from, to) {
+    return redisClient.zRangeByScore(REGISTRY_KEY, `(${from}`, to);
+  }
+
+  async recordDelivery() {
+    return redisClient.incr(RECEIVED_COUNTER);
+  }
+
+  async stats() {
+    const [active, received] = await Promise.all([
+      redisClient.get(ACTIVE_COUNTER),
+      redisClient.get(RECEIVED_COUNTER)
+    ]);
+
+    return {
+      activeMailboxes: Math.max(parseInt(active) || 0, 0),
+      totalReceived: parseInt(received) || 0
+    };
+  }
+
+  // Rebuild the registry and active counter from the mailbox keys. Used once
+  // to index mailboxes created before the registry existed.
+  async rebuildIndex() {
+    const keys = await redisClient.scan(this.key('*'));
+    let indexed = 0;
+
+    for (const key of keys) {
+      const data = await redisClient.get(key);
+      if (!data) continue;
+
+      await this.register(JSON.parse(data));
+      indexed++;
+    }
+
+    await redisClient.set(ACTIVE_COUNTER, String(await redisClient.zCard(REGISTRY_KEY)));
+    return indexed;
+  }
+
+  // All messages of a mailbox, oldest first
+  async getMessages(address) {
+    const ids = await redisClient.zRange(this.indexKey(address), 0, -1);
+    if (ids.length === 0) return [];
+
+    const hashes = await redisClient.pipeline(pipeline => {
+      for (const id of ids) {
+        pipeline.hGetAll(this.messageKey(address, id));
+      }
+    });
+
+    return (hashes || []).map(hash => this.decodeMessage(hash)).filter(Boolean);
+  }
+
+  async getMessage(address, id) {
+    return this.decodeMessage(await redisClient.hGetAll(this.messageKey(address, id)));
+  }
+
+  // Atomically append a message. Returns the messages evicted to stay within
+  // maxEmailsPerAddress, or null if the mailbox does not exist.
+  async appendMessage(address, message) {
+    const evictedIds = await redisClient.eval(
+      APPEND_MESSAGE_SCRIPT,
+      [this.key(address), this.indexKey(address), this.messageKey(address, message.id)],
+      [message.id, Date.parse(message.timestamp) || Date.now(), config.email.maxEmailsPerAddress, ...this.encodeMessage(message)]
+    );
+
+    if (evictedIds === null) return null;
+    await this.bumpVersion(address);
+
+    const evicted = [];
+    for (const id of evictedIds) {
+      const removed = await this.getMessage(address, id);
+      await redisClient.del(this.messageKey(address, id));
+      if (removed) evicted.push(removed);
+    }
+
+    return evicted;
+  }
+
+  // Update fields of an existing message. Returns false if it does not exist.
+  async updateMessage(address, id, fields) {
+    const updated = await redisClient.eval(
+      UPDATE_MESSAGE_SCRIPT,
+      [this.messageKey(address, id)],
+      this.encodeMessage(fields)
+    );
+
+    if (updated !== 1) return false;
+    await this.bumpVersion(address);
+    return true;
+  }
+
+  // Remove a single message, returning it if it existed
+  async removeMessage(address, id) {
+    const message = await this.getMessage(address, id);
+    if (!message) return null;
+
+    await redisClient.multi(multi => multi
+      .zRem(this.indexKey(address), id)
+      .del(this.messageKey(address, id)));
+    await this.bumpVersion(address);
+
+    return message;
+  }
+
+  // A number that changes whenever a message is added, updated or removed,
+  // so clients polling an unchanged inbox can be answered with 304
+  async version(address) {
+    return parseInt(await redisClient.get(this.versionKey(address))) || 0;
+  }
+
+  async bumpVersion(address) {
+    const ttl = await redisClient.pTtl(this.key(address));
+
+    await redisClient.multi(multi => {
+      multi.incr(this.versionKey(address));
+      if (ttl > 0) multi.pExpire(this.versionKey(address), ttl);
+    });
+  }
+
+  // Move messages out of mailboxes stored in the old single-document layout
+  // ({ ...mailbox, emails: [...] }). Safe to run more than once.
+  async migrateLegacyMailboxes() {
+    const keys = await redisClient.scan(this.key('*'));
+    let migrated = 0;
+
+    for (const key of keys) {
+      const data = await redisClient.get(key);
+      if (!data) continue;
+
+      const { emails, ...mailbox } = JSON.parse(data);
+      if (!Array.isArray(emails)) continue;
+
+      for (const message of emails) {
+        await this.appendMessage(mailbox.email, message);
+      }
+
+      const ttl = await redisClient.pTtl(key);
+      if (ttl > 0) {
+        await redisClient.setEx(key, Math.ceil(ttl / 1000), JSON.stringify(mailbox));
+      } else {
+        await redisClient.set(key, JSON.stringify(mailbox));
+      }
+
+      await this.register(mailbox);
+      migrated++;
+    }
+
+    return migrated;
+  }
+}
+
+// Create and export a singleton instance
+const mailboxStore = new MailboxStore();
+export default mailboxStore;
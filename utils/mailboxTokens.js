@@ -0,0 +1,81 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import config from '../config/config.js';
+
+// Share links are signed with SESSION_SECRET. Without it every process signs
+// with its own random key, so links only work on the worker that issued them.
+const shareSecret = config.security.sessionSecret || randomBytes(32).toString('hex');
+
+if (!config.security.sessionSecret) {
+  console.warn('⚠️  Warning: SESSION_SECRET is not set, share links will not survive restarts');
+}
+
+const SHARE_PREFIX = 's';
+
+/**
+ * Compare two strings without leaking timing information
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Sign the address, creation time and expiry of a share token. The creation
+ * time ties the token to one mailbox, so it stops working once the address
+ * expires and is claimed again.
+ */
+function signShare(mailbox, expires) {
+  return createHmac('sha256', shareSecret)
+    .update(`${mailbox.email.toLowerCase()}:${mailbox.created}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Generate a new secret mailbox access token
+ */
+export function generateAccessToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+/**
+ * Hash an access token for storage alongside the mailbox
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a signed, read-only share token for a mailbox valid until `expires`
+ */
+export function createShareToken(mailbox, expires) {
+  return `${SHARE_PREFIX}.${expires}.${signShare(mailbox, expires)}`;
+}
+
+/**
+ * Check a token against a mailbox, returning 'owner', 'shared' or null
+ */
+export function verifyMailboxToken(mailbox, token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [prefix, expires, signature] = token.split('.');
+  if (prefix === SHARE_PREFIX && signature) {
+    const valid = Number(expires) > Date.now() &&
+      safeEqual(signature, signShare(mailbox, expires));
+    return valid ? 'shared' : null;
+  }
+
+  return mailbox.tokenHash && safeEqual(hashToken(token), mailbox.tokenHash) ? 'owner' : null;
+}
+
+/**
+ * Read a mailbox token from the request headers or query string
+ */
+export function getRequestToken(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return req.headers['x-mailbox-token'] || req.query.token || null;
+}
@@ -0,0 +1,137 @@
+// Filters shared by the endpoints that select messages from an inbox
+
+import { RE2JS } from 're2js';
+
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Compile a user supplied subject regular expression, or return null if it
+ * is invalid. RE2 matches in linear time, so a crafted pattern can't stall
+ * the event loop the way a backtracking RegExp can.
+ */
+export function compileSubjectPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern || pattern.length > MAX_PATTERN_LENGTH) {
+    return null;
+  }
+
+  try {
+    const regex = RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+    return { test: subject => regex.matcher(String(subject || '')).find() };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a sender against an address, or a domain when it starts with "@"
+ */
+export function matchesSender(from, expected) {
+  const sender = String(from || '').toLowerCase();
+  const wanted = expected.toLowerCase();
+
+  return wanted.startsWith('@') ? sender.endsWith(wanted) : sender === wanted;
+}
+
+/**
+ * Compile a subject filter: a /regex/ when wrapped in slashes, otherwise a
+ * case-insensitive substring. Returns null if it is invalid.
+ */
+export function compileSubjectFilter(value) {
+  if (typeof value !== 'string' || !value || value.length > MAX_PATTERN_LENGTH) {
+    return null;
+  }
+
+  const regex = /^\/(.+)\/$/.exec(value);
+  if (regex) return compileSubjectPattern(regex[1]);
+
+  const text = value.toLowerCase();
+  return { test: subject => String(subject || '').toLowerCase().includes(text) };
+}
+
+/**
+ * Read a timestamp given as milliseconds or an ISO date, or return null
+ */
+export function parseTimestamp(value) {
+  if (typeof value !== 'string' || !value) return null;
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Time a message was received, in milliseconds
+ */
+export function receivedAt(message) {
+  return Date.parse(message.timestamp) || 0;
+}
+
+/**
+ * Check a message against optional filters: subject, sender,
+ * received between since and until, read state, attachments, a text query
+ * across subject and body, and spam ('exclude' or 'only')
+ */
+export function matchesFilters(message, {
+  subject = null,
+  from = null,
+  since = null,
+  until = null,
+  unread = null,
+  hasAttachments = null,
+  q = null,
+  spam = null
+} = {}) {
+  if (subject && !subject.test(message.subject || '')) return false;
+  if (from && !matchesSender(message.from, from)) return false;
+  if (since !== null && receivedAt(message) < since) return false;
+  if (until !== null && receivedAt(message) > until) return false;
+  if (unread !== null && !message.read !== unread) return false;
+  if (hasAttachments !== null && (message.attachments?.length > 0) !== hasAttachments) return false;
+  if (spam !== null && Boolean(message.spam?.isSpam) !== (spam === 'only')) return false;
+
+  if (q) {
+    const text = `${message.subject || ''}\n${message.body || ''}`.toLowerCase();
+    if (!text.includes(q.toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Encode the position of a message as an opaque page cursor
+ */
+export function encodeCursor(message) {
+  return Buffer.from(`${receivedAt(message)}:${message.id}`).toString('base64url');
+}
+
+/**
+ * Decode a page cursor, or return null if it is malformed
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+
+  const match = /^(\d+):(\w+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+  return match ? { time: Number(match[1]), id: match[2] } : null;
+}
+
+/**
+ * Sort messages by the time they were received, oldest or newest first,
+ * and return the page after the cursor
+ */
+export function paginate(messages, { sort = 'oldest', cursor = null, limit = null } = {}) {
+  const direction = sort === 'newest' ? -1 : 1;
+  const position = message => [receivedAt(message), message.id];
+  const compare = ([timeA, idA], [timeB, idB]) =>
+    (timeA - timeB || (idA < idB ? -1 : idA > idB ? 1 : 0)) * direction;
+
+  const sorted = [...messages].sort((a, b) => compare(position(a), position(b)));
+  const start = cursor
+    ? sorted.findIndex(message => compare(position(message), [cursor.time, cursor.id]) > 0)
+    : 0;
+  const remaining = start === -1 ? [] : sorted.slice(start);
+  const page = limit ? remaining.slice(0, limit) : remaining;
+
+  return {
+    page,
+    nextCursor: page.length < remaining.length ? encodeCursor(page[page.length - 1]) : null
+  };
+}
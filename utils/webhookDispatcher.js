@@ -0,0 +1,219 @@
+import { createHmac, randomBytes } from 'crypto';
+import { fetch } from 'undici';
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+import webhookStore from './webhookStore.js';
+import { publicAgent, resolvesToPrivateAddress } from './helper.js';
+
+// Pending deliveries by id, scored by the time of their next attempt. Any
+// process running the dispatcher can claim a due delivery by removing it.
+const QUEUE_KEY = 'webhooks:queue';
+const DEAD_LETTER_KEY = 'webhooks:dead-letter';
+const DELIVERY_TTL = 24 * 60 * 60; // 1 day
+const BATCH_SIZE = 50;
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC of `${timestamp}.${body}`
+ * with their secret and compare it with the X-ShortTermEmail-Signature header.
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+class WebhookDispatcher {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  deliveryKey(id) {
+    return `webhook-delivery:${id}`;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => {
+        console.error('Error processing webhook deliveries:', error);
+      });
+    }, config.webhooks.pollInterval);
+
+    // Don't keep the process alive just for the dispatcher
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Queue a new-email delivery for every webhook of the mailbox
+  async enqueue(address, message) {
+    const webhooks = await webhookStore.list(address);
+    if (webhooks.length === 0) return 0;
+
+    const body = JSON.stringify({ event: 'new-email', email: address, message });
+
+    for (const webhook of webhooks) {
+      const delivery = {
+        id: randomBytes(8).toString('hex'),
+        address,
+        webhookId: webhook.id,
+        messageId: message.id,
+        event: 'new-email',
+        body,
+        attempts: 0,
+        created: Date.now()
+      };
+
+      await redisClient.setEx(this.deliveryKey(delivery.id), DELIVERY_TTL, JSON.stringify(delivery));
+      await redisClient.zAdd(QUEUE_KEY, Date.now(), delivery.id);
+    }
+
+    // Make the first attempt right away instead of on the next poll
+    this.processDue().catch(error => {
+      console.error('Error processing webhook deliveries:', error);
+    });
+
+    return webhooks.length;
+  }
+
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const ids = await redisClient.zRangeByScore(QUEUE_KEY, '-inf', Date.now(), BATCH_SIZE);
+
+      await Promise.all(ids.map(async id => {
+        // Only the worker that removes the entry gets to deliver it
+        if (!await redisClient.zRem(QUEUE_KEY, id)) return;
+
+        const data = await redisClient.get(this.deliveryKey(id));
+        if (data) {
+          await this.attempt(JSON.parse(data));
+        }
+      }));
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Send one delivery attempt, then record it and schedule a retry or
+  // dead-letter the delivery as needed
+  async attempt(delivery) {
+    const webhook = await webhookStore.get(delivery.address, delivery.webhookId);
+
+    // The webhook was removed or its mailbox expired
+    if (!webhook) {
+      await redisClient.del(this.deliveryKey(delivery.id));
+      return;
+    }
+
+    delivery.attempts++;
+    const started = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      await this.assertPublicUrl(webhook.url);
+
+      const timestamp = String(Math.floor(started / 1000));
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ShortTermEmail-Webhooks/1.0',
+          'X-ShortTermEmail-Event': delivery.event,
+          'X-ShortTermEmail-Delivery': delivery.id,
+          'X-ShortTermEmail-Timestamp': timestamp,
+          'X-ShortTermEmail-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        dispatcher: config.webhooks.allowPrivateUrls ? undefined : publicAgent,
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+      });
+
+      responseStatus = response.status;
+      await response.arrayBuffer().catch(() => null);
+
+      if (!response.ok) {
+        error = `Receiver responded with ${response.status}`;
+      }
+    } catch (err) {
+      // fetch reports connection failures as "fetch failed" with the reason
+      // in the cause, e.g. a name that now resolves to a private address
+      error = err.name === 'TimeoutError' ? `Timed out after ${config.webhooks.timeoutMs}ms` : err.cause?.message || err.message;
+    }
+
+    const entry = {
+      deliveryId: delivery.id,
+      webhookId: webhook.id,
+      messageId: delivery.messageId,
+      event: delivery.event,
+      attempt: delivery.attempts,
+      status: 'delivered',
+      responseStatus,
+      error,
+      duration: Date.now() - started,
+      timestamp: new Date(started).toISOString()
+    };
+
+    if (!error) {
+      await redisClient.del(this.deliveryKey(delivery.id));
+    } else if (delivery.attempts >= config.webhooks.maxAttempts) {
+      entry.status = 'dead';
+      await this.deadLetter(delivery, webhook, error);
+    } else {
+      const delay = Math.min(
+        config.webhooks.retryBaseMs * 2 ** (delivery.attempts - 1),
+        config.webhooks.retryMaxMs
+      );
+
+      entry.status = 'retrying';
+      entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+      await redisClient.setEx(this.deliveryKey(delivery.id), DELIVERY_TTL, JSON.stringify(delivery));
+      await redisClient.zAdd(QUEUE_KEY, Date.now() + delay, delivery.id);
+    }
+
+    await webhookStore.recordAttempt(delivery.address, entry);
+    return entry;
+  }
+
+  async deadLetter(delivery, webhook, error) {
+    const { body, ...details } = delivery;
+
+    await redisClient.lPush(DEAD_LETTER_KEY, JSON.stringify({
+      ...details,
+      url: webhook.url,
+      lastError: error,
+      failedAt: Date.now()
+    }));
+    await redisClient.lTrim(DEAD_LETTER_KEY, 0, config.webhooks.deadLetterSize - 1);
+    await redisClient.del(this.deliveryKey(delivery.id));
+
+    console.log(`☠️  Webhook delivery ${delivery.id} to ${webhook.url} failed ${delivery.attempts} times: ${error}`);
+  }
+
+  // Dead-lettered deliveries, newest first
+  async deadLetters({ limit = 50, offset = 0 } = {}) {
+    const entries = await redisClient.lRange(DEAD_LETTER_KEY, offset, offset + limit - 1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  // Refuse to post to localhost or private networks unless allowed, checking
+  // the resolved addresses so a public name can't point inside the network.
+  // publicAgent repeats the check on the address actually connected to.
+  async assertPublicUrl(url) {
+    if (config.webhooks.allowPrivateUrls) return;
+
+    if (await resolvesToPrivateAddress(new URL(url).hostname)) {
+      throw new Error('Webhook URL resolves to a private address');
+    }
+  }
+}
+
+// Create and export a singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+export default webhookDispatcher;
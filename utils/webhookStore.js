@@ -0,0 +1,66 @@
+import { randomBytes } from 'crypto';
+import redisClient from '../config/redis.js';
+import config from '../config/config.js';
+import mailboxStore from './mailboxStore.js';
+
+// Webhooks are kept in a hash per mailbox (id -> JSON) and their delivery
+// attempts in a capped list per mailbox. Both expire with the mailbox.
+class WebhookStore {
+  async create(mailbox, { url, secret = null }) {
+    const webhook = {
+      id: randomBytes(8).toString('hex'),
+      url,
+      secret: secret || randomBytes(32).toString('hex'),
+      events: ['new-email'],
+      created: Date.now()
+    };
+
+    const key = mailboxStore.webhooksKey(mailbox.email);
+    await redisClient.hSet(key, webhook.id, JSON.stringify(webhook));
+    await redisClient.expire(key, mailboxStore.ttlFor(mailbox));
+
+    return webhook;
+  }
+
+  async get(address, id) {
+    const data = await redisClient.hGet(mailboxStore.webhooksKey(address), id);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async list(address) {
+    const webhooks = Object.values(await redisClient.hGetAll(mailboxStore.webhooksKey(address)))
+      .map(data => JSON.parse(data));
+
+    return webhooks.sort((a, b) => a.created - b.created);
+  }
+
+  async remove(address, id) {
+    return redisClient.hDel(mailboxStore.webhooksKey(address), id);
+  }
+
+  // Append a delivery attempt to the mailbox history, newest first
+  async recordAttempt(address, attempt) {
+    const mailbox = await mailboxStore.get(address);
+    if (!mailbox) return;
+
+    const key = mailboxStore.deliveriesKey(address);
+    await redisClient.lPush(key, JSON.stringify(attempt));
+    await redisClient.lTrim(key, 0, config.webhooks.historySize - 1);
+    await redisClient.expire(key, mailboxStore.ttlFor(mailbox));
+  }
+
+  // Delivery attempts of one webhook, newest first
+  async history(address, id) {
+    const entries = await redisClient.lRange(mailboxStore.deliveriesKey(address), 0, -1);
+    return entries.map(entry => JSON.parse(entry)).filter(entry => entry.webhookId === id);
+  }
+
+  // The secret is only returned when a webhook is created
+  toPublic({ secret, ...webhook }) {
+    return webhook;
+  }
+}
+
+// Create and export a singleton instance
+const webhookStore = new WebhookStore();
+export default webhookStore;